@@ -0,0 +1,140 @@
+'use strict';
+
+var readline = require('readline');
+
+var HELP = [
+    'commands:',
+    '  state                  show recorded states',
+    '  jump <id>              restore a recorded state',
+    '  pause | resume         stop or resume recording',
+    '  set <path> <json>      set an item',
+    '  delete <path>          delete an item',
+    '  clear [path]           clear a store',
+    '  inspect <path>         show which store provides an item',
+    '  quit                   stop the inspector'
+].join('\n');
+
+function describeStore(path) {
+    return path === '' ? '(root)' : path;
+}
+
+function describeEntry(entry) {
+    if (!entry) {
+        return '(recorded state)';
+    }
+    return entry.type === 'set' ?
+        entry.type + ' ' + entry.path + ' = ' + JSON.stringify(entry.value) :
+        entry.type + ' ' + describeStore(entry.path);
+}
+
+function format(message) {
+    switch (message.type) {
+        case 'operation':
+            return '#' + message.id + ' ' + describeEntry(message.entry);
+        case 'state':
+            return message.entries.map(function(record) {
+                return (record.id === message.current ? '> #' : '  #') +
+                    record.id + ' ' + describeEntry(record.entry);
+            }).concat(
+                message.paused ? 'recording paused' : [],
+                JSON.stringify(message.state, null, 2)
+            ).join('\n');
+        case 'inspection':
+            return [message.exists ?
+                message.path + ' is provided by ' + describeStore(message.source) :
+                message.path + ' has no value'
+            ].concat(message.lineage.map(function(store) {
+                var value = store.has ? JSON.stringify(store.value) :
+                    store.provider ? '(' + store.provider + ' provider)' : '-';
+                return '  ' + describeStore(store.path) + '\t' + value;
+            })).join('\n');
+        case 'error':
+            return 'error: ' + message.message;
+        default:
+            return JSON.stringify(message);
+    }
+}
+
+function parseCommand(line) {
+    var parts = line.trim().split(/\s+/),
+        name = parts[0],
+        path = parts[1];
+    switch (name) {
+        case 'state':
+        case 'pause':
+        case 'resume':
+            return {type: name};
+        case 'jump':
+            return {type: 'jump', id: Number(path)};
+        case 'set':
+            return {type: 'dispatch', entry: {
+                type: 'set',
+                path: path,
+                value: JSON.parse(parts.slice(2).join(' '))
+            }};
+        case 'delete':
+        case 'clear':
+            return {type: 'dispatch', entry: {type: name, path: path || ''}};
+        case 'inspect':
+            return {type: 'inspect', path: path};
+    }
+}
+
+/**
+ * A terminal inspector for cycle-store devtools sessions. Renders the
+ * messages published by a {@link DevtoolsSession} and sends the commands
+ * typed into `input` back to the session. Run `help` for the commands.
+ * @function inspect
+ * @param {Object} session An object with a `messages$` Observable and a
+ *  `send` function, such as the {@link DevtoolsSession} returned by
+ *  `Store.devtools.attach`.
+ * @param {Object} [options] Inspector options.
+ * @param {Stream} [options.input=process.stdin] The stream commands are
+ *  read from.
+ * @param {Stream} [options.output=process.stdout] The stream messages are
+ *  written to.
+ * @returns {Function} A function that stops the inspector.
+ * @example
+ * var inspect = require('cycle-store/inspector');
+ * inspect(Store.devtools.attach(store));
+ * // > inspect admin/users/theme
+ * // admin/users/theme is provided by admin
+ * //   admin/users   -
+ * //   admin         "dark"
+ * //   (root)        "light"
+ */
+module.exports = function inspect(session, options) {
+    var input = (options && options.input) || process.stdin,
+        output = (options && options.output) || process.stdout,
+        lines = readline.createInterface({input: input, output: output, terminal: false}),
+        write = function(text) {
+            output.write(text + '\n');
+        },
+        subscription = session.messages$.subscribe(function(message) {
+            write(format(message));
+        }),
+        stop = function() {
+            subscription.unsubscribe();
+            lines.close();
+        };
+    lines.on('line', function(line) {
+        var command;
+        if (line.trim() === '') {
+            return;
+        }
+        if (line.trim() === 'quit') {
+            return stop();
+        }
+        try {
+            command = parseCommand(line);
+        } catch (error) {
+            return write('error: ' + error.message);
+        }
+        if (command) {
+            session.send(command);
+        } else {
+            write(HELP);
+        }
+    });
+    return stop;
+};
@@ -5,7 +5,7 @@
  * @author Daniel R Barnes
  */
 
-import {Observable} from 'rxjs';
+import {Observable, BehaviorSubject, ReplaySubject, Subject, Subscriber, Scheduler} from 'rxjs';
 import {Broker} from 'cycle-events';
 
 import {
@@ -18,14 +18,277 @@ import {
     isEmpty,
     pull,
     trim,
-    bind
+    bind,
+    values,
+    isFunction,
+    isObject,
+    isPlainObject,
+    has,
+    pick,
+    debounce,
+    cloneDeep,
+    isArray,
+    isEqual,
+    isNil,
+    isNumber,
+    isBoolean,
+    isDate,
+    includes,
+    find,
+    escapeRegExp,
+    remove,
+    findKey,
+    last,
+    dropWhile,
+    takeWhile,
+    mapValues,
+    findIndex,
+    cloneDeepWith,
+    initial,
+    isNull,
+    findLastIndex,
+    isInteger
 } from 'lodash';
 
 const data = new WeakMap(),
-      readonlyMethods = ['set', 'delete', 'clear'];
+      ABSENT = Object.freeze({}),
+      asyncStates = new WeakSet(),
+      batches = {depth: 0, done$: new Subject()},
+      SYNC_PROTOCOL = 'cycle-store/sync',
+      REMOTE_PROTOCOL = 'cycle-store/remote',
+      readonlyMethods = ['set', 'setAsync', 'delete', 'remove', 'clear', 'compute', 'register', 'define',
+          'use', 'configure', 'removeChild', 'dispose', 'restore', 'replay', 'transaction', 'history',
+          'hydrate', 'persist', 'sync'],
+      lifetimes = ['singleton', 'transient', 'scoped'],
+      proxiedMethods = ['get', 'getAll', 'getWithMeta', 'has', 'resolve', 'peek', 'parent', 'root', 'keys',
+          'values', 'entries', 'forEach', 'children', 'watch', 'toJSON', 'snapshot', Symbol.iterator],
+      comparers = {
+          strict: (a, b) => a === b,
+          shallow: shallowEqual,
+          deep: isEqual
+      },
+      typeChecks = {
+          string: isString,
+          number: isNumber,
+          boolean: isBoolean,
+          object: isPlainObject,
+          array: isArray,
+          function: isFunction,
+          date: isDate
+      };
 
 // UTILITY METHODS
 
+function shallowEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (!isObject(a) || !isObject(b)) {
+        return false;
+    }
+    let keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+        keys.every(key => has(b, key) && a[key] === b[key]);
+}
+
+function isComparer(equals) {
+    return isFunction(equals) || has(comparers, equals);
+}
+
+function isUnchanged(store, name, value) {
+    let items = data.get(store).items,
+        found = findRule(store, name),
+        equals = found && !isUndefined(found.rule.equals) ?
+            found.rule.equals :
+            getOption(store, 'equals');
+    if (!items.has(name) || isUndefined(equals)) {
+        return false;
+    }
+    return !!(isFunction(equals) ? equals : comparers[equals])(items.get(name), value);
+}
+
+function createOriginId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function lastWriterWins(local, remote) {
+    return remote.time > local.time ||
+        (remote.time === local.time && remote.origin > local.origin) ?
+        remote : local;
+}
+
+function listenChannel(channel, listener) {
+    if (isFunction(channel.addEventListener)) {
+        channel.addEventListener('message', listener);
+        if (isFunction(channel.start)) {
+            channel.start();
+        }
+        return () => channel.removeEventListener('message', listener);
+    }
+    channel.onmessage = listener;
+    return () => channel.onmessage = null;
+}
+
+function createLogEntry(base, event, e, store) {
+    let time = (getOption(base, 'scheduler') || Scheduler.async).now(),
+        names = getRelativePath(base, store, event === Store.Events.CLEARED ? [] : e.name);
+    if (isUndefined(names)) {
+        return;
+    }
+    let path = names.map(escapeName).join('/');
+    switch (event) {
+        case Store.Events.SET:
+            return createSetEntry(store, e, path, time);
+        case Store.Events.REMOVED:
+            return {type: 'delete', path, time};
+        case Store.Events.CLEARED:
+            return {type: 'clear', path, time};
+        default:
+            return {type: event, path, time};
+    }
+}
+
+function createSetEntry(store, e, path, time) {
+    let async = asyncStates.has(e.value);
+    // computed items are updated by the store itself, and async
+    // items are logged once they resolve, like in snapshots
+    if (data.get(store).computed.has(e.name) || async && e.value.status !== 'resolved') {
+        return;
+    }
+    return {type: 'set', path, value: async ? e.value.value : e.value, time};
+}
+
+function applyLogEntry(store, entry) {
+    let {type, path, value} = entry || {};
+    switch (type) {
+        case 'set':
+            store.set(path, value);
+            break;
+        case 'delete':
+            store.delete(path);
+            break;
+        case 'clear':
+            (isEmpty(path) ? store : store.for(path)).clear();
+            break;
+        case Store.Events.CREATED:
+            store.for(path);
+            break;
+        case Store.Events.DETACHED:
+            store.removeChild(path);
+            break;
+        default:
+            throw new Error('Unknown log entry type: ' + type);
+    }
+}
+
+function copyValue(value) {
+    // functions cannot be cloned, so they are kept by reference
+    return cloneDeepWith(value, current => isFunction(current) ? current : undefined);
+}
+
+function stageRestore(store, snapshot, names, tx) {
+    let meta = store && data.get(store),
+        items = snapshot.items || {},
+        children = snapshot.children || {},
+        toPath = name => names.concat(name).map(escapeName).join('/');
+    if (!isUndefined(meta)) {
+        meta.items.forEach((value, name) => {
+            if (!meta.computed.has(name) && !has(items, name)) {
+                tx.delete(toPath(name));
+            }
+        });
+        forOwn(meta.children, (child, name) =>
+            stageRestore(child, children[name] || {}, names.concat(name), tx));
+    }
+    forOwn(items, (value, name) => {
+        // computed items keep their computed value
+        if (isUndefined(meta) || !meta.computed.has(name)) {
+            tx.set(toPath(name), copyValue(value));
+        }
+    });
+    forOwn(children, (child, name) => {
+        if (isUndefined(meta) || !has(meta.children, name)) {
+            stageRestore(undefined, child, names.concat(name), tx);
+        }
+    });
+}
+
+function pickSnapshot(snapshot, paths) {
+    let result = {items: {}, children: {}};
+    paths.forEach(names => {
+        let stores = initial(names),
+            name = last(names),
+            source = reduce(stores, (node, store) =>
+                node && (node.children || {})[store], snapshot);
+        if (!isObject(source)) {
+            return;
+        }
+        let target = reduce(stores, (node, store) => {
+            node.children[store] = node.children[store] || {items: {}, children: {}};
+            return node.children[store];
+        }, result);
+        if (has(source.items, name)) {
+            target.items[name] = source.items[name];
+        }
+        if (has(source.children, name)) {
+            target.children[name] = source.children[name];
+        }
+    });
+    return result;
+}
+
+function runBatch(callback) {
+    batches.depth++;
+    try {
+        callback();
+    } finally {
+        batches.depth--;
+        if (batches.depth === 0) {
+            batches.done$.next();
+        }
+    }
+}
+
+function combineItems(source, names, options) {
+    if (!isArray(names)) {
+        throw new Error('Parameter `names` must be an array.');
+    }
+    let streams = names.map(name => source.get(name, options));
+    if (isEmpty(streams)) {
+        return Observable.of([]);
+    }
+    return Observable.create(observer => {
+        let held = false,
+            latest,
+            release = () => {
+                if (held) {
+                    held = false;
+                    observer.next(latest);
+                }
+            },
+            // values changed by a transaction are sent once it finishes
+            done = batches.done$.subscribe(release),
+            subscription = Observable.combineLatest(...streams).subscribe(
+                values => {
+                    latest = values;
+                    held = true;
+                    if (batches.depth === 0) {
+                        release();
+                    }
+                },
+                error => observer.error(error),
+                () => {
+                    release();
+                    observer.complete();
+                }
+            );
+        return () => {
+            done.unsubscribe();
+            subscription.unsubscribe();
+        };
+    });
+}
+
 function readonlyMethod() {
     throw new Error('Ancestor Stores are read-only.');
 }
@@ -33,10 +296,24 @@ function readonlyMethod() {
 function readonly(store) {
     let proxy = Object.create(store);
     readonlyMethods.forEach(method => proxy[method] = readonlyMethod);
-    ['for', 'has', 'parent', 'root'].forEach(
+    proxiedMethods.forEach(
         // rebind proxied methods so WeakMap references work
         method => proxy[method] = bind(proxy[method], store)
     );
+    // restrictions carry down to nested stores and views; nested
+    // stores are only looked up, since creating one changes the tree
+    proxy.for = name => {
+        throwIfInvalidName(name);
+        let {store: start, names} = resolvePath(store, name),
+            {store: child, pending} = findChildStore(start, names);
+        if (!isEmpty(pending)) {
+            throw new Error('Path does not resolve to a Store.');
+        }
+        return readonly(child);
+    };
+    proxy.view = options => store.view(Object.assign({}, options, {readonly: true}));
+    Object.defineProperty(proxy, 'size', {get: () => store.size});
+    Object.defineProperty(proxy, 'log$', {get: () => store.log$});
     return proxy;
 }
 
@@ -48,7 +325,7 @@ function getChildStore(base, childNames) {
             child = children[name];
         if (isUndefined(child) && !items.has(name)) {
             children[name] = child = new Store(store);
-            store.emit(Store.Events.CREATED, {name, child});
+            store.emit(Store.Events.CREATED, eventData(store, name, {child}));
         }
         if (isUndefined(child) || !(child instanceof Store)) {
             throw new Error('Path does not resolve to a Store.');
@@ -57,14 +334,715 @@ function getChildStore(base, childNames) {
     }, base) || base;
 }
 
+function listenTree(base, events, callback) {
+    let offs = [],
+        attach = store => {
+            events.forEach(event => offs.push(
+                store.on(event, e => callback(event, e, store))
+            ));
+            offs.push(store.on(Store.Events.CREATED, e => attach(e.child)));
+            forOwn(data.get(store).children, attach);
+        };
+    attach(base);
+    return () => offs.splice(0).forEach(off => off());
+}
+
+function getOption(store, key) {
+    let found = find(getLineage(store), current => has(data.get(current).options, key));
+    return found && data.get(found).options[key];
+}
+
+function cancelExpiry(store, name) {
+    let timers = data.get(store).timers;
+    if (timers.has(name)) {
+        timers.get(name).unsubscribe();
+        timers.delete(name);
+    }
+}
+
+function cancelLoading(store, name) {
+    let loading = data.get(store).loading;
+    if (loading.has(name)) {
+        loading.get(name).unsubscribe();
+        loading.delete(name);
+    }
+}
+
+function scheduleExpiry(store, name, ttl) {
+    let timers = data.get(store).timers,
+        scheduler = getOption(store, 'scheduler') || Scheduler.async;
+    ttl = isUndefined(ttl) ? getOption(store, 'ttl') : ttl;
+    if (isNumber(ttl) && ttl > 0 && ttl < Infinity) {
+        timers.set(name, scheduler.schedule(() => {
+            timers.delete(name);
+            recordChanges([removeItem(store, name)]);
+            store.emit(Store.Events.REMOVED, eventData(store, name, {reason: 'expired'}));
+        }, ttl));
+    }
+}
+
+function renewExpiry(store, name, ttl) {
+    cancelExpiry(store, name);
+    scheduleExpiry(store, name, ttl);
+}
+
+function writeItem(store, name, value) {
+    let items = data.get(store).items,
+        change = {type: 'set', store, name, had: items.has(name), oldValue: items.get(name), exists: true, value};
+    cancelExpiry(store, name);
+    cancelLoading(store, name);
+    items.set(name, value);
+    return change;
+}
+
+function removeItem(store, name, type = 'delete') {
+    let items = data.get(store).items,
+        change = {type, store, name, had: true, oldValue: items.get(name), exists: false};
+    cancelExpiry(store, name);
+    cancelLoading(store, name);
+    items.delete(name);
+    return change;
+}
+
+function clearItems(store, nested, changes) {
+    let meta = data.get(store);
+    meta.items.forEach((value, name) => {
+        if (!meta.computed.has(name)) {
+            changes.push(removeItem(store, name, 'clear'));
+            store.emit(Store.Events.REMOVED, eventData(store, name));
+        }
+    });
+    if (!!nested) {
+        forOwn(meta.children, child => clearItems(child, true, changes));
+    }
+    store.emit(Store.Events.CLEARED);
+    return changes;
+}
+
+function getLineage(store) {
+    let lineage = [];
+    for (let current = store; !!current; current = data.get(current).parent) {
+        lineage.push(current);
+    }
+    return lineage;
+}
+
+function recordChanges(changes) {
+    let entries = new Map();
+    changes.forEach(change => getLineage(change.store).forEach(
+        current => data.get(current).recorders
+            .filter(recorder => recorder.nested || current === change.store)
+            .forEach(recorder => entries.set(recorder,
+                (entries.get(recorder) || []).concat(change)))
+    ));
+    entries.forEach((list, recorder) => recorder.record(list));
+}
+
+function applyChanges(changes, undo) {
+    (undo ? changes.slice().reverse() : changes).forEach(change => {
+        let exists = undo ? change.had : change.exists,
+            value = undo ? change.oldValue : change.value;
+        if (exists) {
+            change.store.set(escapeName(change.name), value);
+        } else {
+            change.store.delete(escapeName(change.name));
+        }
+    });
+}
+
+function createHistory(store, options) {
+    let {limit = Infinity, nested = false} = options || {},
+        past = [],
+        future = [],
+        replaying = false,
+        canUndo$ = new BehaviorSubject(false),
+        canRedo$ = new BehaviorSubject(false),
+        isMarker = entry => !entry.changes,
+        update = () => {
+            canUndo$.next(past.some(entry => !isMarker(entry)));
+            canRedo$.next(future.some(entry => !isMarker(entry)));
+        },
+        push = entry => {
+            past.push(entry);
+            while (past.length > limit) {
+                past.shift();
+            }
+        },
+        throwIfMissing = (entries, label) => {
+            if (!entries.some(entry => isLabel(entry, label))) {
+                throw new Error(`Checkpoint \`${label}\` does not exist.`);
+            }
+        },
+        move = (from, to, undo) => {
+            let entry = from.pop();
+            to.push(entry);
+            if (!isMarker(entry)) {
+                applyChanges(entry.changes, undo);
+            }
+            return entry;
+        },
+        replay = fn => {
+            replaying = true;
+            try {
+                fn();
+            } finally {
+                replaying = false;
+                update();
+            }
+        },
+        last = entries => entries[entries.length - 1],
+        isLabel = (entry, label) => isMarker(entry) && entry.label === label,
+        step = (from, to, undo) => {
+            while (!isEmpty(from) && isMarker(last(from))) {
+                move(from, to, undo);
+            }
+            if (!isEmpty(from)) {
+                move(from, to, undo);
+            }
+        },
+        settle = change => past.forEach(entry => (entry.changes || []).forEach(recorded => {
+            // async results are not separate steps; they update the step that set the item
+            if (recorded.store === change.store && recorded.name === change.name &&
+                recorded.value === change.oldValue) {
+                recorded.value = change.value;
+            }
+        })),
+        recorder = {
+            nested,
+            record(changes) {
+                if (replaying) {
+                    return;
+                }
+                let steps = changes.filter(change => !change.settled);
+                changes.filter(change => change.settled).forEach(settle);
+                if (!isEmpty(steps)) {
+                    push({changes: steps});
+                    future.length = 0;
+                    update();
+                }
+            }
+        },
+        controller = {
+            canUndo$: canUndo$.distinctUntilChanged(),
+            canRedo$: canRedo$.distinctUntilChanged(),
+            undo(label) {
+                if (!isUndefined(label)) {
+                    throwIfMissing(past, label);
+                }
+                replay(() => {
+                    if (isUndefined(label)) {
+                        step(past, future, true);
+                    } else {
+                        while (!isLabel(last(past), label)) {
+                            move(past, future, true);
+                        }
+                    }
+                });
+                return controller;
+            },
+            redo(label) {
+                if (!isUndefined(label)) {
+                    throwIfMissing(future, label);
+                }
+                replay(() => {
+                    if (isUndefined(label)) {
+                        step(future, past, false);
+                    } else {
+                        let entry;
+                        do {
+                            entry = move(future, past, false);
+                        } while (!isLabel(entry, label));
+                    }
+                });
+                return controller;
+            },
+            checkpoint(label) {
+                push({label});
+                return controller;
+            },
+            dispose() {
+                pull(data.get(store).recorders, recorder);
+                canUndo$.complete();
+                canRedo$.complete();
+            }
+        };
+    data.get(store).recorders.push(recorder);
+    return controller;
+}
+
+function escapeName(name) {
+    return name.replace(/[\\/]/g, '\\$&');
+}
+
+function parsePath(path) {
+    let names = [''],
+        escaped = false;
+    Array.from(path).forEach(char => {
+        if (escaped || (char !== '\\' && char !== '/')) {
+            names[names.length - 1] += char;
+            escaped = false;
+        } else if (char === '\\') {
+            escaped = true;
+        } else {
+            names.push('');
+        }
+    });
+    return {
+        absolute: path.charAt(0) === '/',
+        names: names.filter(name => !isEmpty(name))
+    };
+}
+
+function normalizeNames(names) {
+    return names.reduce((result, name) => {
+        if (name === '..' && !isEmpty(result) && last(result) !== '..') {
+            result.pop();
+        } else if (name !== '.') {
+            result.push(name);
+        }
+        return result;
+    }, []);
+}
+
+function normalizePath(path) {
+    let {absolute, names} = parsePath(path);
+    names = normalizeNames(names);
+    if (absolute) {
+        names = dropWhile(names, name => name === '..');
+    }
+    return (absolute ? '/' : '') + names.map(escapeName).join('/');
+}
+
+function joinPaths(...paths) {
+    return normalizePath(paths.reduce((result, path) =>
+        parsePath(path).absolute || isEmpty(result) ? path : `${result}/${path}`, ''));
+}
+
+function resolvePath(base, path) {
+    let {absolute, names} = parsePath(path),
+        store = absolute ? last(getLineage(base)) : base;
+    names = normalizeNames(names);
+    while (names[0] === '..') {
+        names.shift();
+        store = data.get(store).parent;
+        if (isUndefined(store)) {
+            throw new Error('Path does not resolve to a Store.');
+        }
+    }
+    return {store, names};
+}
+
 function getPropData(base, name) {
-    let names = name.split('/'),
-        prop = names.pop(),
-        store = getChildStore(base, names),
+    let {store: start, names} = resolvePath(base, name),
+        prop = names.pop();
+    if (isUndefined(prop)) {
+        throw new Error('Path does not resolve to an item.');
+    }
+    let store = getChildStore(start, names),
         items = data.get(store).items;
     return {store, prop, items};
 }
 
+function findChildStore(base, childNames) {
+    let pending = childNames.slice(),
+        store = base;
+    while (!isEmpty(pending)) {
+        let meta = data.get(store);
+        if (has(meta.children, pending[0])) {
+            store = meta.children[pending.shift()];
+        } else if (meta.items.has(pending[0])) {
+            throw new Error('Path does not resolve to a Store.');
+        } else {
+            break;
+        }
+    }
+    return {store, pending};
+}
+
+function findPropData(base, name) {
+    let {store: start, names} = resolvePath(base, name),
+        prop = names.pop();
+    if (isUndefined(prop)) {
+        throw new Error('Path does not resolve to an item.');
+    }
+    let {store, pending} = findChildStore(start, names);
+    return {store, prop, pending, exists: isEmpty(pending)};
+}
+
+function findSource(store, name) {
+    return find(getLineage(store), current => {
+        let meta = data.get(current);
+        return meta.items.has(name) || meta.providers.has(name);
+    });
+}
+
+function lookupItem(scope, name, resolving) {
+    let source = findSource(scope, name);
+    if (isUndefined(source)) {
+        return ABSENT;
+    }
+    let items = data.get(source).items;
+    return items.has(name) ? items.get(name) : provideItem(source, name, scope, resolving);
+}
+
+function provideItem(store, name, scope, resolving = []) {
+    let provider = data.get(store).providers.get(name),
+        {factory, lifetime, deps, instances} = provider,
+        owner = lifetime === 'singleton' ? store : scope,
+        chain = resolving.concat({provider, name});
+    if (instances.has(owner)) {
+        return instances.get(owner);
+    }
+    if (resolving.some(entry => entry.provider === provider)) {
+        throw new Error(`Provider \`${name}\` has a circular dependency: ${
+            chain.map(entry => entry.name).join(' -> ')}.`);
+    }
+    let value = factory(...deps.map(dep => {
+        let {store: depStore, prop} = findPropData(owner, dep),
+            depValue = lookupItem(depStore, prop, chain);
+        if (depValue === ABSENT) {
+            throw new Error(`Dependency \`${dep}\` of provider \`${name}\` has no value.`);
+        }
+        return depValue;
+    }));
+    if (lifetime !== 'transient') {
+        instances.set(owner, value);
+    }
+    return value;
+}
+
+function throwIfComputed(store, name) {
+    if (data.get(store).computed.has(name)) {
+        throw new Error(`Item \`${name}\` is computed and cannot be changed.`);
+    }
+}
+
+function runMiddleware(op, core) {
+    let stack = getLineage(op.store).reverse()
+            .reduce((result, store) => result.concat(data.get(store).middleware), []),
+        dispatch = (index, current) => index < stack.length ?
+            stack[index](current, next => dispatch(index + 1, isUndefined(next) ? current : next)) :
+            core(current);
+    return dispatch(0, op);
+}
+
+function eventData(store, name, extra) {
+    return Object.assign({name, path: name, store}, extra);
+}
+
+function getItem(store, name, scope = store) {
+    let meta = data.get(store),
+        current = () => meta.items.has(name) ?
+            {local: true, value: meta.items.get(name)} :
+            {local: false},
+        set$ = Observable.fromEvent(store, Store.Events.SET)
+            .filter(matches({name}))
+            .map(e => ({local: true, value: e.value})),
+        removed$ = Observable.fromEvent(store, Store.Events.REMOVED)
+            .filter(matches({name}))
+            .mapTo({local: false}),
+        registered$ = Observable.fromEvent(store, Store.Events.REGISTERED)
+            .filter(matches({name}))
+            .map(current),
+        provided$ = Observable.defer(() => Observable.of({value: provideItem(store, name, scope), source: store})),
+        inherit$ = (!!meta.parent ? getItem(meta.parent, name, scope) : Observable.of({value: ABSENT}));
+    return Observable.defer(() => Observable.merge(set$, removed$, registered$)
+        .startWith(current())
+        .switchMap(state => state.local ?
+            Observable.of({value: state.value, source: store}) :
+            meta.providers.has(name) ? provided$ : inherit$)
+    ).takeUntil(meta.disposed$);
+}
+
+function getPendingItem(store, pending, name) {
+    if (isEmpty(pending)) {
+        return getItem(store, name).map(({value, source}) => ({value, source, own: source === store}));
+    }
+    let meta = data.get(store),
+        [childName, ...rest] = pending,
+        created$ = Observable.fromEvent(store, Store.Events.CREATED)
+            .filter(matches({name: childName}))
+            .take(1);
+    // read the inherited value until the pending store is created;
+    // the child's stream starts with that same value, so drop it
+    return Observable.defer(() => created$.startWith(null)
+        .map(() => meta.children[childName])
+        .switchMap(child => (child instanceof Store ?
+            getPendingItem(child, rest, name) :
+            getItem(store, name).map(({value, source}) => ({value, source, own: false}))
+        ).map((state, index) => Object.assign({attached: index === 0}, state)))
+        .distinctUntilChanged((prev, next) => next.attached &&
+            prev.value === next.value && prev.source === next.source)
+        .map(({value, source, own}) => ({value, source, own}))
+    ).takeUntil(meta.disposed$);
+}
+
+function getVisibleItem(op, visible) {
+    let info$ = getPendingItem(op.store, op.pending || [], op.name);
+    // values provided by stores the reader cannot see are treated as absent
+    return isUndefined(visible) ? info$ : info$
+        .map(info => isUndefined(info.source) || visible(info.source) ? info : {value: ABSENT, own: false})
+        .distinctUntilChanged((prev, next) => prev.value === ABSENT && next.value === ABSENT);
+}
+
+function getItemValues(op, visible) {
+    let value$ = getVisibleItem(op, visible).pluck('value');
+    if (op.flatten) {
+        value$ = value$.filter(value => !asyncStates.has(value) || value.status === 'resolved')
+            .map(value => asyncStates.has(value) ? value.value : value);
+    }
+    return op.absent ? value$ : value$.filter(value => value !== ABSENT);
+}
+
+function getItemInfo(op, visible, wrapSource) {
+    let info$ = getVisibleItem(op, visible).map(({value, source, own}) => ({
+        value,
+        path: op.path,
+        source: isUndefined(source) ? source : wrapSource(source, own),
+        inherited: !isUndefined(source) && !own
+    }));
+    return op.absent ? info$ : info$.filter(info => info.value !== ABSENT);
+}
+
+function disposeStore(store, disposeValues) {
+    let meta = data.get(store),
+        items = Array.from(meta.items.values());
+    Object.keys(meta.children).forEach(name => detachChild(store, name, disposeValues));
+    meta.computed.forEach(definition => definition.subscription.unsubscribe());
+    meta.computed.clear();
+    recordChanges(clearItems(store, false, []));
+    if (disposeValues) {
+        items.filter(value => isObject(value) && isFunction(value.dispose))
+            .forEach(value => value.dispose());
+    }
+    meta.disposed$.next();
+    meta.disposed$.complete();
+}
+
+function forEachSavedItem(store, callback) {
+    let meta = data.get(store);
+    meta.items.forEach((value, name) => {
+        if (meta.computed.has(name)) {
+            return;
+        }
+        if (!asyncStates.has(value)) {
+            callback(value, name);
+        } else if (value.status === 'resolved') {
+            // only the results of async items are saved
+            callback(value.value, name);
+        }
+    });
+}
+
+function detachChild(store, name, disposeValues) {
+    let children = data.get(store).children,
+        child = children[name];
+    disposeStore(child, disposeValues);
+    delete children[name];
+    store.emit(Store.Events.DETACHED, eventData(store, name, {child}));
+}
+
+function setItem({store, name, value, ttl, force}) {
+    throwIfComputed(store, name);
+    if (!force && isUnchanged(store, name, value)) {
+        // the value is kept, but a new ttl still applies
+        if (!isUndefined(ttl)) {
+            renewExpiry(store, name, ttl);
+        }
+        return;
+    }
+    if (isValidItem(store, name, value)) {
+        recordChanges([writeItem(store, name, value)]);
+        scheduleExpiry(store, name, ttl);
+        store.emit(Store.Events.SET, eventData(store, name, {value}));
+    }
+}
+
+function asyncState(status, value, error) {
+    let state = Object.freeze({status, value, error});
+    asyncStates.add(state);
+    return state;
+}
+
+function settleItem(store, name, state) {
+    let items = data.get(store).items,
+        change = {type: 'set', store, name, had: true, oldValue: items.get(name), exists: true,
+            value: state, settled: true};
+    // unlike writeItem, leaves the item's expiry and source running
+    items.set(name, state);
+    recordChanges([change]);
+    store.emit(Store.Events.SET, eventData(store, name, {value: state}));
+}
+
+function setAsyncItem({store, name, value, ttl}) {
+    throwIfComputed(store, name);
+    if (!isObject(value) || !(isFunction(value.then) || isFunction(value.subscribe))) {
+        throw new Error('Async values must be a Promise or Observable.');
+    }
+    let loading = data.get(store).loading,
+        pending = asyncState('pending');
+    recordChanges([writeItem(store, name, pending)]);
+    scheduleExpiry(store, name, ttl);
+    store.emit(Store.Events.SET, eventData(store, name, {value: pending}));
+    let subscription = Observable.from(value).subscribe(
+        result => {
+            let found = findRule(store, name),
+                reason = found && getInvalidReason(found.rule, result);
+            if (isUndefined(reason)) {
+                return settleItem(store, name, asyncState('resolved', result));
+            }
+            if (found.invalid === 'emit') {
+                store.emit(Store.Events.INVALID, eventData(store, name, {value: result, reason}));
+            }
+            settleItem(store, name, asyncState('rejected', undefined,
+                new Error(`Invalid value for item \`${name}\`: ${reason}.`)));
+        },
+        error => {
+            loading.delete(name);
+            settleItem(store, name, asyncState('rejected', undefined, error));
+        },
+        () => loading.delete(name)
+    );
+    if (!subscription.closed) {
+        loading.set(name, subscription);
+    }
+}
+
+function deleteItem({store, name}) {
+    throwIfComputed(store, name);
+    if (data.get(store).items.has(name)) {
+        recordChanges([removeItem(store, name)]);
+        store.emit(Store.Events.REMOVED, eventData(store, name));
+    }
+}
+
+function throwIfCircular(store, name, deps) {
+    let visited = new Set(),
+        reaches = ({store: depStore, prop}) => getLineage(depStore).some(current => {
+            let definition = data.get(current).computed.get(prop);
+            if (current === store && prop === name) {
+                return true;
+            }
+            if (isUndefined(definition) || visited.has(definition)) {
+                return false;
+            }
+            visited.add(definition);
+            return definition.deps.some(reaches);
+        });
+    if (deps.some(reaches)) {
+        throw new Error(`Computed item \`${name}\` has a circular dependency.`);
+    }
+}
+
+function globToRegExp(glob) {
+    return new RegExp(`^${glob.split('*').map(escapeRegExp).join('.*')}$`);
+}
+
+function matchesGlob(patterns, names) {
+    if (isEmpty(patterns)) {
+        return isEmpty(names);
+    }
+    let [pattern, ...rest] = patterns;
+    if (pattern === '**') {
+        return matchesGlob(rest, names) ||
+            (!isEmpty(names) && matchesGlob(patterns, names.slice(1)));
+    }
+    return !isEmpty(names) &&
+        (includes(pattern, '*') ? globToRegExp(pattern).test(names[0]) : pattern === names[0]) &&
+        matchesGlob(rest, names.slice(1));
+}
+
+function getRelativePath(base, store, name) {
+    let lineage = getLineage(store),
+        names = lineage.slice(0, lineage.indexOf(base)).map(current => findKey(
+            data.get(data.get(current).parent).children,
+            child => child === current
+        ));
+    return includes(names, undefined) ? undefined : names.reverse().concat(name);
+}
+
+function createRule(name, rule, invalid) {
+    let pattern = includes(name, '*') ? globToRegExp(name) : undefined;
+    if (isString(rule)) {
+        rule = {type: rule};
+    } else if (isFunction(rule)) {
+        rule = {validate: rule};
+    }
+    if (!isPlainObject(rule) ||
+        (isString(rule.type) && !has(typeChecks, rule.type)) ||
+        (!isUndefined(rule.enum) && !isArray(rule.enum)) ||
+        (!isUndefined(rule.validate) && !isFunction(rule.validate)) ||
+        (!isUndefined(rule.equals) && !isComparer(rule.equals))) {
+        throw new Error(`Schema rule for \`${name}\` is invalid.`);
+    }
+    return {name, pattern, rule, invalid};
+}
+
+function findRule(store, name) {
+    let rule;
+    getLineage(store).some(current => {
+        let rules = data.get(current).rules;
+        rule = find(rules, {name}) ||
+            find(rules, candidate => !!candidate.pattern && candidate.pattern.test(name));
+        return !isUndefined(rule);
+    });
+    return rule;
+}
+
+function getInvalidReason(rule, value) {
+    let {type, required, validate} = rule,
+        allowed = rule.enum;
+    if (isNil(value)) {
+        return required ? 'value is required' : undefined;
+    }
+    if (isString(type) && !typeChecks[type](value)) {
+        return `expected type ${type}`;
+    }
+    if (isFunction(type) && !(value instanceof type)) {
+        return `expected instance of ${type.name}`;
+    }
+    if (!isUndefined(allowed) && !includes(allowed, value)) {
+        return `expected one of ${allowed.join(', ')}`;
+    }
+    if (!isUndefined(validate) && !validate(value)) {
+        return 'failed validation';
+    }
+}
+
+function isValidItem(store, name, value) {
+    let found = findRule(store, name),
+        reason = found && getInvalidReason(found.rule, value);
+    if (isUndefined(reason)) {
+        return true;
+    }
+    if (found.invalid !== 'emit') {
+        throw new Error(`Invalid value for item \`${name}\`: ${reason}.`);
+    }
+    store.emit(Store.Events.INVALID, eventData(store, name, {value, reason}));
+    return false;
+}
+
+function throwIfNameConflict(name) {
+    throw new Error(`Name \`${name}\` refers to both an item and a Store.`);
+}
+
+function validateSnapshot(store, snapshot, nested) {
+    let meta = store && data.get(store);
+    forOwn(snapshot, (value, name) => {
+        throwIfInvalidName(name);
+        if (nested && isPlainObject(value)) {
+            if (!!meta && meta.items.has(name)) {
+                throw new Error('Path does not resolve to a Store.');
+            }
+            validateSnapshot(meta && meta.children[name], value, nested);
+        } else if (!!meta && has(meta.children, name)) {
+            throwIfNameConflict(name);
+        } else if (!!meta) {
+            throwIfComputed(store, name);
+        }
+    });
+}
+
 function throwIfInvalidName(name) {
     if (!isString(name) || isEmpty(trim(name))) {
         throw new Error('Parameter `name` must be a non-empty string');
@@ -104,7 +1082,16 @@ export class Store extends Broker {
         data.set(this, {
             children: {},
             parent: ancestor,
-            items: new Map()
+            items: new Map(),
+            computed: new Map(),
+            providers: new Map(),
+            recorders: [],
+            rules: [],
+            middleware: [],
+            options: {},
+            timers: new Map(),
+            loading: new Map(),
+            disposed$: new ReplaySubject(1)
         });
     }
 
@@ -115,6 +1102,10 @@ export class Store extends Broker {
      * @property {String} REMOVED 'item-removed' - An item was removed.
      * @property {String} CLEARED 'store-cleared' - All items were removed.
      * @property {String} CREATED 'store-added' - A new child store was created.
+     * @property {String} BATCH 'store-batch' - A transaction was applied.
+     * @property {String} INVALID 'item-invalid' - An invalid value was rejected.
+     * @property {String} DETACHED 'store-removed' - A child store was removed.
+     * @property {String} REGISTERED 'provider-registered' - A provider was registered.
      */
 
     /**
@@ -132,6 +1123,9 @@ export class Store extends Broker {
              * @event Store#itemSet
              * @type {Object}
              * @property {String} name The name of the item added or updated.
+             * @property {String} path The path of the item, relative to
+             *  the store that fired the event.
+             * @property {Store} store The store that fired the event.
              * @property {*} value The new value of the item.
              * @desc An item was added to or updated in the store instance.
              * @example
@@ -145,6 +1139,11 @@ export class Store extends Broker {
              * @event Store#itemRemoved
              * @type {Object}
              * @property {String} name The name of the item removed from the store.
+             * @property {String} path The path of the item, relative to
+             *  the store that fired the event.
+             * @property {Store} store The store that fired the event.
+             * @property {String} [reason] 'expired' if the item was removed
+             *  because its time-to-live elapsed.
              * @desc An item was removed from the store.
              * @example
              * store.on(Store.Events.REMOVED, function(data) {
@@ -168,6 +1167,9 @@ export class Store extends Broker {
              * @event Store#storeCreated
              * @type {Object}
              * @property {String} name The name of the newly created store.
+             * @property {String} path The path of the new store, relative to
+             *  the store that fired the event.
+             * @property {Store} store The store that fired the event.
              * @property {Store} child The newly created store instance.
              * @desc A new nested store has been created.
              * @example
@@ -176,8 +1178,127 @@ export class Store extends Broker {
              *   data.store.set('created-on', Date.now());
              * });
              */
-            CREATED: 'store-added'
+            CREATED: 'store-added',
+
+            /**
+             * @event Store#storeBatch
+             * @type {Object}
+             * @property {String[]} paths The paths, relative to the store
+             *  on which the transaction was run, of every item that was
+             *  set or removed by the transaction.
+             * @desc A transaction was applied to the store. This event is
+             *  fired after all of the transaction's changes have been made
+             *  and their individual events have been fired.
+             * @example
+             * store.on(Store.Events.BATCH, function(data) {
+             *   log.info('Items changed:', data.paths.join(', '));
+             * });
+             */
+            BATCH: 'store-batch',
+
+            /**
+             * @event Store#itemInvalid
+             * @type {Object}
+             * @property {String} name The name of the item being set.
+             * @property {String} path The path of the item, relative to
+             *  the store that fired the event.
+             * @property {Store} store The store that fired the event.
+             * @property {*} value The rejected value.
+             * @property {String} reason Why the value was rejected.
+             * @desc A value was rejected by the store's schema. This event
+             *  is only fired for schema rules defined with `invalid` set
+             *  to `'emit'`; otherwise, an error is thrown instead.
+             * @example
+             * store.on(Store.Events.INVALID, function(data) {
+             *   log.warn('Rejected', data.name, data.reason);
+             * });
+             */
+            INVALID: 'item-invalid',
+
+            /**
+             * @event Store#storeRemoved
+             * @type {Object}
+             * @property {String} name The name of the removed store.
+             * @property {String} path The path of the removed store,
+             *  relative to the store that fired the event.
+             * @property {Store} store The store that fired the event.
+             * @property {Store} child The removed store instance.
+             * @desc A nested store has been disposed and removed.
+             * @example
+             * store.on(Store.Events.DETACHED, function(data) {
+             *   log.info('A store was removed:', data.name);
+             * });
+             */
+            DETACHED: 'store-removed',
+
+            /**
+             * @event Store#providerRegistered
+             * @type {Object}
+             * @property {String} name The name of the registered provider.
+             * @property {String} path The path of the provider, relative
+             *  to the store that fired the event.
+             * @property {Store} store The store that fired the event.
+             * @property {String} lifetime The lifetime of the provider.
+             * @desc A provider was registered in the store using
+             *  {@link Store#register}.
+             * @example
+             * store.on(Store.Events.REGISTERED, function(data) {
+             *   log.info('Provider registered:', data.name, data.lifetime);
+             * });
+             */
+            REGISTERED: 'provider-registered'
+
+        };
+    }
+
+    /**
+     * @member {Object} Store.ABSENT
+     * @desc The marker sent to subscribers of {@link Store#get} when
+     *  the `absent` option is set and no value exists for the key.
+     * @example
+     * store.get('key', {absent: true})
+     *     .filter(value => value !== Store.ABSENT)
+     *     .subscribe(render);
+     */
+    static get ABSENT() {
+        return ABSENT;
+    }
+
+    /**
+     * @typedef Store~ParsedPath
+     * @type {Object}
+     * @property {Boolean} absolute `true` if the path starts with a "/".
+     * @property {String[]} names The unescaped names in the path.
+     */
 
+    /**
+     * @member {Object} Store.path
+     * @desc Helper functions for working with store paths. Paths passed
+     *  to `for`, `get`, `set`, `delete`, `has` and related methods are
+     *  names separated with "/". A leading "/" resolves the path from the
+     *  root store, ".." refers to the parent store and "." to the current
+     *  store. Escape a "/" or backslash with a backslash (`a\/b`) to
+     *  include it in a name.
+     * @property {Function} parse Returns a {@link Store~ParsedPath} for
+     *  the specified path.
+     * @property {Function} normalize Returns the specified path with "."
+     *  names and redundant ".." names removed.
+     * @property {Function} join Joins the specified paths with a "/" and
+     *  normalizes the result. An absolute path discards the paths before it.
+     * @property {Function} escape Returns the specified name with "/" and
+     *  backslash characters escaped, so it can be used in a path.
+     * @example
+     * var key = Store.path.escape('https://example.com/api');
+     * store.set(Store.path.join('cache', key), response);
+     * Store.path.parse('/a/b\\/c'); // {absolute: true, names: ['a', 'b/c']}
+     * Store.path.normalize('a/./b/../c'); // 'a/c'
+     */
+    static get path() {
+        return {
+            parse: parsePath,
+            normalize: normalizePath,
+            join: joinPaths,
+            escape: escapeName
         };
     }
 
@@ -187,25 +1308,30 @@ export class Store extends Broker {
      * @function Store#for
      * @param {String} name The name of the child store to create/retrieve.
      *  You can specify nested stores by separating stores with a "/" -- see
-     *  the examples for details.
+     *  the examples and {@link Store.path} for details.
      * @returns {Store}
      * @throws {Error} Parameter `name` must be a non-empty string
+     * @throws {Error} Path does not resolve to a Store.
      * @example
      * var root = new Store(),
      *     child = root.for('child'),
-     *     grandchild = child.for('child');
-     * root.for('child/grandchild')) === grandchild; // true
+     *     grandchild = child.for('grandchild');
+     * root.for('child/grandchild') === grandchild; // true
+     * grandchild.for('..') === child; // true
+     * grandchild.for('/child') === child; // true
      */
     for(name) {
         throwIfInvalidName(name);
-        return getChildStore(this, name.split('/'));
+        let {store, names} = resolvePath(this, name);
+        return getChildStore(store, names);
     }
 
     /**
      * Retrieves the parent of the current store. For the root store,
      * this method returns `undefined`. NOTE: The parent store returned
-     * from this method is readonly -- `set`, `clear`, and `delete`
-     * will not work and will instead throw errors.
+     * from this method is readonly -- `set`, `clear`, `delete` and
+     * the other methods that change stores will throw errors, and
+     * `for` only returns nested stores that already exist.
      * @function Store#parent
      * @returns {Store|undefined}
      * @example
@@ -220,13 +1346,14 @@ export class Store extends Broker {
 
     /**
      * Retrieves the root store. NOTE: The root store returned from
-     * this method is readonly -- `set`, `clear`, and `delete` will
-     * not work and will instead throw errors.
+     * this method is readonly -- `set`, `clear`, `delete` and the
+     * other methods that change stores will throw errors, and `for`
+     * only returns nested stores that already exist.
      * @function Store#root
      * @returns {Store}
      * @example
-     * for (let item of child.root()) {
-     *     log(item.value);
+     * for (let [name, value] of child.root()) {
+     *     log(name, value);
      * }
      */
     root() {
@@ -240,44 +1367,215 @@ export class Store extends Broker {
     }
 
     /**
-     * Returns `true` if the store contains the specified key;
-     * otherwise, returns `false`. NOTE: This method does not
-     * consider ancestor stores or child stores, only the store
-     * on which it was called.
+     * Returns `true` if the store contains the specified key or
+     * has a provider registered for it (see {@link Store#register});
+     * otherwise, returns `false`. NOTE: By default, this method
+     * does not consider ancestor stores or child stores, only the
+     * store the path resolves to. Unlike `set`, this method never
+     * creates nested stores.
      * @function Store#has
      * @param {String} name The name of the item whose existence
-     *  should be checked.
+     *  should be checked. You can specify nested stores by
+     *  separating stores with a "/".
+     * @param {Object} [options] Lookup options.
+     * @param {Boolean} [options.inherited=false] `true` to also
+     *  check ancestor stores, following the same rules as
+     *  {@link Store#get}.
      * @returns {Boolean}
      * @throws {Error} Parameter `name` must be a non-empty string
+     * @throws {Error} Path does not resolve to a Store.
      * @example
      * // before setting the key:
      * store.has('key'); // false
      * // after setting the key:
      * store.set('key', 'value');
-     * store.has('key'); // false
+     * store.has('key'); // true
+     * store.has('child/../key'); // true
      * // still returns false on child store:
      * store.for('child').has('key'); // false
+     * // unless inherited values are included:
+     * store.for('child').has('key', {inherited: true}); // true
      */
-    has(name) {
+    has(name, options) {
         throwIfInvalidName(name);
-        return data.get(this).items.has(name);
+        let {store, prop, exists} = findPropData(this, name);
+        if (isObject(options) && !!options.inherited) {
+            return !isUndefined(findSource(store, prop));
+        }
+        return exists && findSource(store, prop) === store;
     }
 
     /**
-     * Returns an Observable instance whose subscribers will be
-     * notified whenever a value exists for the specified key.
-     * NOTE: Once a value exists in a child store, inherited
-     * value changes will no longer be sent to subscribers. In
-     * other words, child store values always take precedence
-     * over ancestor store values. See the examples for details.
-     * @function Store#get
-     * @param {String} name The name of the item whose existence
-     *  should be checked.
+     * Returns the store that provides the effective value for the
+     * specified key -- that is, the store whose value subscribers of
+     * {@link Store#get} would receive. Ancestor stores are returned as
+     * read-only stores (see {@link Store#parent}). This method never
+     * creates nested stores.
+     * @function Store#resolve
+     * @param {String} name The name of the item to resolve. You can
+     *  specify nested stores by separating stores with a "/".
+     * @returns {Store|undefined} The store providing the value, or
+     *  `undefined` if no store has a value for the key.
      * @throws {Error} Parameter `name` must be a non-empty string
-     * @returns {Observable} A stream of value changes for the
-     *  specified key.
+     * @throws {Error} Path does not resolve to a Store.
      * @example
-     * store.get('some/child/key')
+     * store.set('theme', 'light').set('admin/theme', 'dark');
+     * store.resolve('admin/users/theme'); // the (read-only) 'admin' store
+     * store.resolve('admin/theme') === store.for('admin'); // true
+     * store.resolve('dne'); // undefined
+     */
+    resolve(name) {
+        throwIfInvalidName(name);
+        let {store, prop, exists} = findPropData(this, name),
+            source = findSource(store, prop);
+        return source === store && exists ? source : source && readonly(source);
+    }
+
+    /**
+     * Returns the current effective value for the specified key,
+     * following the same rules as {@link Store#get}. This method never
+     * creates nested stores.
+     * @function Store#peek
+     * @param {String} name The name of the item whose value should be
+     *  returned. You can specify nested stores by separating stores
+     *  with a "/".
+     * @returns {*} The current value, or `undefined` if no store has
+     *  a value for the key. Use {@link Store#has} with the `inherited`
+     *  option to distinguish a missing value from an `undefined` value.
+     * @throws {Error} Parameter `name` must be a non-empty string
+     * @throws {Error} Path does not resolve to a Store.
+     * @example
+     * store.set('key', 'value');
+     * store.peek('child/key'); // 'value'
+     * store.peek('dne'); // undefined
+     */
+    peek(name) {
+        throwIfInvalidName(name);
+        let {store, prop} = findPropData(this, name),
+            value = lookupItem(store, prop);
+        return value === ABSENT ? undefined : value;
+    }
+
+    /**
+     * The number of items in the store. NOTE: Items in ancestor
+     * and child stores are not included in the count.
+     * @member {Number} Store#size
+     * @example
+     * store.set('a', 1).set('b', 2).for('child').set('c', 3);
+     * store.size; // 2
+     */
+    get size() {
+        return data.get(this).items.size;
+    }
+
+    /**
+     * Returns an iterator over the names of the items in the store.
+     * @function Store#keys
+     * @returns {Iterator}
+     * @example
+     * store.set('a', 1).set('b', 2);
+     * Array.from(store.keys()); // ['a', 'b']
+     */
+    keys() {
+        return data.get(this).items.keys();
+    }
+
+    /**
+     * Returns an iterator over the values of the items in the store.
+     * @function Store#values
+     * @returns {Iterator}
+     * @example
+     * store.set('a', 1).set('b', 2);
+     * Array.from(store.values()); // [1, 2]
+     */
+    values() {
+        return data.get(this).items.values();
+    }
+
+    /**
+     * Returns an iterator over the `[name, value]` pairs of the items
+     * in the store. This is also the iterator used when the store
+     * itself is iterated.
+     * @function Store#entries
+     * @returns {Iterator}
+     * @example
+     * store.set('a', 1).set('b', 2);
+     * Array.from(store.entries()); // [['a', 1], ['b', 2]]
+     * @example
+     * for (let [name, value] of store) {
+     *     log(name, value);
+     * }
+     */
+    entries() {
+        return data.get(this).items.entries();
+    }
+
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+
+    /**
+     * Invokes the callback once for each item in the store, in
+     * insertion order.
+     * @function Store#forEach
+     * @param {Function} callback The function to invoke. It will be
+     *  passed the item's value, the item's name, and the store.
+     * @param {*} [thisArg] The value to use as `this` when invoking
+     *  the callback.
+     * @example
+     * store.forEach(function(value, name) {
+     *     log(name, value);
+     * });
+     */
+    forEach(callback, thisArg) {
+        data.get(this).items.forEach(
+            (value, name) => callback.call(thisArg, value, name, this)
+        );
+    }
+
+    /**
+     * Returns the names of the immediate child stores of the store.
+     * @function Store#children
+     * @returns {String[]}
+     * @example
+     * store.for('a/b');
+     * store.for('c');
+     * store.children(); // ['a', 'c']
+     */
+    children() {
+        return Object.keys(data.get(this).children);
+    }
+
+    /**
+     * Returns an Observable instance whose subscribers will be
+     * notified whenever a value exists for the specified key.
+     * NOTE: While a value exists in a child store, inherited
+     * value changes will not be sent to subscribers. In other
+     * words, child store values always take precedence over
+     * ancestor store values. If the child store's value is
+     * removed (by `delete`, `clear` or expiration), subscribers
+     * will once again receive the inherited value. If no ancestor
+     * has a value, nothing is sent unless the `absent` option is
+     * set. Reading a path never creates nested stores: until a
+     * store in the path is created (by `for` or `set`), subscribers
+     * receive the value inherited from the nearest existing store.
+     * See the examples for details.
+     * @function Store#get
+     * @param {String} name The name of the item whose existence
+     *  should be checked.
+     * @param {Object} [options] Options for the stream.
+     * @param {Boolean} [options.absent=false] `true` to send
+     *  {@link Store.ABSENT} to subscribers whenever neither the store
+     *  nor any of its ancestors has a value for the key.
+     * @param {Boolean} [options.flatten=false] `true` to send only the
+     *  settled values of async items (see {@link Store#setAsync})
+     *  instead of their {@link Store~AsyncState}. Pending and rejected
+     *  states are not sent.
+     * @throws {Error} Parameter `name` must be a non-empty string
+     * @returns {Observable} A stream of value changes for the
+     *  specified key.
+     * @example
+     * store.get('some/child/key')
      *     .subscribe(function onNext(value) {
      *         log('current value:', value);
      *     });
@@ -290,20 +1588,95 @@ export class Store extends Broker {
      * // and now that 'some/child/key' has been set, any
      * // changes made to 'some/key' will not be propagated:
      * store.set('some/key', 'nope'); // current value: 0
+     * // until 'some/child/key' is removed:
+     * store.delete('some/child/key'); // current value: nope
+     * @example
+     * store.get('key', {absent: true})
+     *     .subscribe(function onNext(value) {
+     *         log(value === Store.ABSENT ? 'no value' : value);
+     *     }); // no value
+     * store.set('key', 123); // 123
+     * store.clear(); // no value
+     * @example
+     * store.get('user', {flatten: true}).subscribe(log);
+     * store.setAsync('user', fetchUser()); // (user, once loaded)
      */
-    get(name) {
+    get(name, options) {
         throwIfInvalidName(name);
-        let {store, items, prop} = getPropData(this, name),
-            parent = data.get(store).parent,
-            value = items.get(prop),
-            changes$ = Observable.fromEvent(store, Store.Events.SET)
-                .filter(matches({name: name}))
-                .pluck('value'),
-            inherit$ = (!!parent ? parent.get(prop) : Observable.empty());
-        if (items.has(prop)) {
-            changes$ = changes$.startWith(value);
-        }
-        return Observable.merge(changes$, inherit$.takeUntil(changes$));
+        let {store, prop, pending} = findPropData(this, name),
+            absent = isObject(options) && !!options.absent,
+            flatten = isObject(options) && !!options.flatten;
+        return runMiddleware({type: 'get', path: name, store, name: prop, pending, absent, flatten},
+            op => getItemValues(op)) || Observable.empty();
+    }
+
+    /**
+     * Returns an Observable whose subscribers receive an array with the
+     * current value of each of the specified keys, in order, once every
+     * key has a value. Changes made by a {@link Store#transaction} are sent
+     * as a single array once all of them have been applied, so -- unlike
+     * combining the streams returned by {@link Store#get} -- subscribers
+     * never see a mix of old and new values.
+     * @function Store#getAll
+     * @param {String[]} names The names of the items to retrieve. See
+     *  {@link Store#get}.
+     * @param {Object} [options] The options passed to {@link Store#get}
+     *  for each item.
+     * @throws {Error} Parameter `names` must be an array.
+     * @throws {Error} Parameter `name` must be a non-empty string
+     * @returns {Observable} A stream of arrays of values.
+     * @example
+     * store.set('user/first', 'Jane').set('user/last', 'Doe');
+     * store.getAll(['user/first', 'user/last']).subscribe(function(names) {
+     *     log(names.join(' '));
+     * }); // Jane Doe
+     * store.transaction(function(tx) {
+     *     tx.set('user/first', 'John').set('user/last', 'Smith');
+     * }); // John Smith
+     */
+    getAll(names, options) {
+        return combineItems(this, names, options);
+    }
+
+    /**
+     * @typedef Store~ValueInfo
+     * @type {Object}
+     * @property {*} value The effective value of the item, or
+     *  {@link Store.ABSENT} if no value exists.
+     * @property {String} path The path passed to `getWithMeta`.
+     * @property {Store|undefined} source The store that provided the
+     *  value. Ancestor stores are returned as read-only stores (see
+     *  {@link Store#parent}). `undefined` if no value exists.
+     * @property {Boolean} inherited `true` if the value was provided by
+     *  an ancestor store.
+     */
+
+    /**
+     * Returns an Observable like {@link Store#get}, except subscribers
+     * receive a {@link Store~ValueInfo} describing where the effective
+     * value came from instead of the value itself.
+     * @function Store#getWithMeta
+     * @param {String} name The name of the item to retrieve. You can
+     *  specify nested stores by separating stores with a "/".
+     * @param {Object} [options] Options for the stream.
+     * @param {Boolean} [options.absent=false] `true` to notify subscribers
+     *  whenever neither the store nor any of its ancestors has a value
+     *  for the key.
+     * @throws {Error} Parameter `name` must be a non-empty string
+     * @returns {Observable} A stream of value information for the
+     *  specified key.
+     * @example
+     * store.set('theme', 'light').set('admin/theme', 'dark');
+     * store.getWithMeta('admin/users/theme').subscribe(function(info) {
+     *     log(info.value, info.inherited, info.source);
+     * }); // 'dark', true, (the 'admin' store)
+     */
+    getWithMeta(name, options) {
+        throwIfInvalidName(name);
+        let {store, prop, pending} = findPropData(this, name),
+            absent = isObject(options) && !!options.absent;
+        return runMiddleware({type: 'get', path: name, store, name: prop, pending, absent, meta: true},
+            op => getItemInfo(op, undefined, (source, own) => own ? source : readonly(source))) || Observable.empty();
     }
 
     /**
@@ -313,9 +1686,22 @@ export class Store extends Broker {
      * @function Store#set
      * @param {String} name The name of the item to set.
      * @param {*} value The value to associate with the specified key.
+     * @param {Object} [options] Options for the item.
+     * @param {Number} [options.ttl] The number of milliseconds until the
+     *  item expires and is removed from the store. Overrides the default
+     *  `ttl` set using {@link Store#configure}.
+     * @param {Boolean} [options.async=false] `true` if `value` is a
+     *  Promise or Observable whose results should be stored instead of
+     *  the value itself. See {@link Store#setAsync} for details.
+     * @param {Boolean} [options.force=false] `true` to set the value even
+     *  if it equals the current value (see {@link Store#configure}).
      * @throws {Error} Parameter `name` must be a non-empty string
+     * @throws {Error} Item `name` is computed and cannot be changed.
+     * @throws {Error} Invalid value for item `name`: reason.
+     * @throws {Error} Async values must be a Promise or Observable.
      * @returns {Store} The Store instance on which `set` was called.
      * @fires Store#itemSet
+     * @fires Store#itemInvalid
      * @example
      * store.set('key', 'value');
      * @example
@@ -323,22 +1709,545 @@ export class Store extends Broker {
      *     .set('key', 'base value')
      *     .set('child/key', 'override value')
      *     .set('child/grandchild/key', 'another override value');
+     * @example
+     * store.set('response', data, {ttl: 30000});
+     * @example
+     * store.configure({equals: 'deep'});
+     * store.set('user', {name: 'Jane'});
+     * store.set('user', {name: 'Jane'}); // ignored
+     * store.set('user', {name: 'Jane'}, {force: true}); // fires Store#itemSet
+     */
+    set(name, value, options) {
+        throwIfInvalidName(name);
+        let {store, prop} = getPropData(this, name),
+            ttl = isObject(options) ? options.ttl : undefined,
+            async = isObject(options) && !!options.async,
+            force = isObject(options) && !!options.force;
+        runMiddleware({type: 'set', path: name, store, name: prop, value, ttl, async, force},
+            op => op.async ? setAsyncItem(op) : setItem(op));
+        return this;
+    }
+
+    /**
+     * @typedef Store~AsyncState
+     * @type {Object}
+     * @property {String} status 'pending', 'resolved' or 'rejected'.
+     * @property {*} value The resolved value ('resolved' states only).
+     * @property {Error} error The reason the value could not be loaded
+     *  ('rejected' states only).
+     */
+
+    /**
+     * Stores the results of a Promise or Observable. Until the value
+     * settles, the item contains a 'pending' {@link Store~AsyncState};
+     * each result replaces it with a 'resolved' state, and a failure
+     * replaces it with a 'rejected' state. Results that do not satisfy
+     * the store's schema (see {@link Store#define}) are stored as
+     * 'rejected' states. Setting or removing the item again -- including
+     * by expiration -- cancels a pending Promise or unsubscribes from the
+     * Observable, so stale results never overwrite newer values. Use the
+     * `flatten` option of {@link Store#get} to receive only settled values.
+     * Results are not recorded as separate {@link Store#history} steps:
+     * undoing the async set restores the previous value, and redoing it
+     * restores the latest result. {@link Store#toJSON} and
+     * {@link Store#snapshot} include the value of 'resolved' items and
+     * leave out 'pending' and 'rejected' items.
+     * @function Store#setAsync
+     * @param {String} name The name of the item to set.
+     * @param {Promise|Observable} value The source of the item's value.
+     * @param {Object} [options] Options for the item. See {@link Store#set}.
+     * @throws {Error} Parameter `name` must be a non-empty string
+     * @throws {Error} Item `name` is computed and cannot be changed.
+     * @throws {Error} Async values must be a Promise or Observable.
+     * @returns {Store} The Store instance on which `setAsync` was called.
+     * @fires Store#itemSet
+     * @fires Store#itemInvalid
+     * @example
+     * store.get('user').subscribe(function(state) {
+     *     log(state.status, state.value, state.error);
+     * });
+     * store.setAsync('user', fetch('/api/user').then(r => r.json()));
+     * // pending undefined undefined
+     * // resolved {name: 'Jane'} undefined
+     */
+    setAsync(name, value, options) {
+        return this.set(name, value, Object.assign({}, options, {async: true}));
+    }
+
+    /**
+     * Defines a read-only item whose value is calculated from other
+     * items. Dependencies are resolved relative to the store containing
+     * the computed item and follow the same inheritance rules as
+     * {@link Store#get}, so a dependency can be provided by an ancestor
+     * store. The computed value is updated whenever a dependency changes
+     * and is available through `get`, `has` and iteration like any other
+     * item; however, it cannot be changed using `set` or `delete`, is not
+     * removed by `clear`, and is not included in {@link Store#toJSON}.
+     * Because it follows its dependencies, updates to the computed value
+     * are not reported to {@link Store#watch} and are not recorded by
+     * {@link Store#history} or mirrored by {@link Store#sync}; watch the
+     * dependencies instead. The value is not calculated until every
+     * dependency has a value.
+     * Calling `compute` again with the same name replaces the previous
+     * definition.
+     * @function Store#compute
+     * @param {String} name The name of the computed item. You can specify
+     *  nested stores by separating stores with a "/".
+     * @param {String[]} dependencies The names of the items used to
+     *  calculate the value. Nested paths are separated with a "/".
+     * @param {Function} callback The function that calculates the value.
+     *  It will be passed the current value of each dependency, in order.
+     *  If the function throws, the error is emitted as a
+     *  {@link Broker#error} event on the store and the computed value
+     *  is left unchanged.
+     * @returns {Store} The Store instance on which `compute` was called.
+     * @throws {Error} Parameter `name` must be a non-empty string
+     * @throws {Error} Parameter `dependencies` must be an array.
+     * @throws {Error} Parameter `callback` must be a function.
+     * @throws {Error} Item `name` already exists.
+     * @throws {Error} Computed item `name` has a circular dependency.
+     * @fires Store#itemSet
+     * @example
+     * store.compute('user/fullName', ['first', 'last'],
+     *     (first, last) => `${first} ${last}`);
+     * store.get('user/fullName').subscribe(log);
+     * store.set('user/first', 'Jane').set('user/last', 'Doe'); // Jane Doe
+     * store.set('user/first', 'John'); // John Doe
+     */
+    compute(name, dependencies, callback) {
+        throwIfInvalidName(name);
+        if (!isArray(dependencies)) {
+            throw new Error('Parameter `dependencies` must be an array.');
+        }
+        if (!isFunction(callback)) {
+            throw new Error('Parameter `callback` must be a function.');
+        }
+        dependencies.forEach(throwIfInvalidName);
+        let {store, prop} = getPropData(this, name),
+            meta = data.get(store),
+            previous = meta.computed.get(prop),
+            deps = dependencies.map(dep => pick(getPropData(store, dep), ['store', 'prop'])),
+            definition = {deps};
+        if (isUndefined(previous) && meta.items.has(prop)) {
+            throw new Error(`Item \`${prop}\` already exists.`);
+        }
+        throwIfCircular(store, prop, deps);
+        if (!isUndefined(previous)) {
+            previous.subscription.unsubscribe();
+        }
+        meta.computed.set(prop, definition);
+        definition.subscription = (isEmpty(deps) ? Observable.of([]) :
+            Observable.combineLatest(...deps.map(dep => dep.store.get(dep.prop)))
+        ).subscribe(args => {
+            let value;
+            try {
+                value = callback(...args);
+            } catch (error) {
+                store.emit(Broker.Events.ERROR, {name: prop, error});
+                return;
+            }
+            meta.items.set(prop, value);
+            store.emit(Store.Events.SET, eventData(store, prop, {value}));
+        });
+        return this;
+    }
+
+    /**
+     * Registers a provider that creates the value of an item when it is
+     * first requested, turning the store into a dependency injection
+     * container. The value is available through `get`, `peek` and the
+     * other read methods, and follows the same inheritance rules as any
+     * other item, so nested stores can override a provider by registering
+     * their own provider or setting their own value. A value set in the
+     * same store takes precedence over the provider. Dependencies are
+     * resolved the same way as {@link Store#get}: for singletons, relative
+     * to the store the provider was registered in; otherwise, relative to
+     * the store the value was requested from. Registering the same name
+     * again replaces the previous provider.
+     * @function Store#register
+     * @param {String} name The name of the item to provide. You can specify
+     *  nested stores by separating stores with a "/".
+     * @param {Function} factory The function that creates the value. It
+     *  will be passed the value of each dependency, in order.
+     * @param {Object} [options] Options for the provider.
+     * @param {String} [options.lifetime='singleton'] How values are shared:
+     *  'singleton' creates one value for the store that registered the
+     *  provider; 'scoped' creates one value for each store it is requested
+     *  from; and 'transient' creates a new value every time it is requested.
+     * @param {String[]} [options.deps=[]] The names of the items to pass to
+     *  `factory`. Nested paths are separated with a "/".
+     * @returns {Store} The Store instance on which `register` was called.
+     * @throws {Error} Parameter `name` must be a non-empty string
+     * @throws {Error} Parameter `factory` must be a function.
+     * @throws {Error} Parameter `lifetime` must be one of: singleton, transient, scoped.
+     * @throws {Error} Parameter `deps` must be an array.
+     * @fires Store#providerRegistered
+     * @example
+     * store.set('config', {url: '/api'})
+     *     .register('http', () => new HttpClient())
+     *     .register('users', (http, config) => new UserService(http, config.url), {
+     *         lifetime: 'scoped',
+     *         deps: ['http', 'config']
+     *     });
+     * store.for('admin').set('config', {url: '/admin/api'});
+     * store.get('admin/users').subscribe(function(users) {
+     *     // UserService using the shared HttpClient and '/admin/api'
+     * });
+     * @example
+     * // values requested while resolving themselves cause an error:
+     * store.register('a', a => a, {deps: ['b']})
+     *     .register('b', b => b, {deps: ['a']});
+     * store.peek('a'); // Error: Provider `a` has a circular dependency: a -> b -> a.
      */
-    set(name, value) {
+    register(name, factory, options) {
         throwIfInvalidName(name);
-        let {store, items, prop} = getPropData(this, name);
-        items.set(prop, value);
-        store.emit(Store.Events.SET, {name: prop, value});
+        if (!isFunction(factory)) {
+            throw new Error('Parameter `factory` must be a function.');
+        }
+        let {lifetime = 'singleton', deps = []} = options || {};
+        if (!includes(lifetimes, lifetime)) {
+            throw new Error(`Parameter \`lifetime\` must be one of: ${lifetimes.join(', ')}.`);
+        }
+        if (!isArray(deps)) {
+            throw new Error('Parameter `deps` must be an array.');
+        }
+        deps.forEach(throwIfInvalidName);
+        let {store, prop} = getPropData(this, name);
+        data.get(store).providers.set(prop, {factory, lifetime, deps, instances: new WeakMap()});
+        store.emit(Store.Events.REGISTERED, eventData(store, prop, {lifetime}));
+        return this;
+    }
+
+    /**
+     * @typedef Store~SchemaRule
+     * @type {Object}
+     * @property {String|Function} [type] The expected type of the value:
+     *  'string', 'number', 'boolean', 'object', 'array', 'function' or
+     *  'date', or a constructor the value must be an instance of.
+     * @property {Boolean} [required=false] `true` if the value cannot be
+     *  `null` or `undefined`. Other checks are skipped for `null` and
+     *  `undefined` values.
+     * @property {Array} [enum] The values allowed.
+     * @property {Function} [validate] A predicate the value must satisfy.
+     * @property {String|Function} [equals] How to compare new values to
+     *  the current value. Overrides the store's `equals` option; see
+     *  {@link Store#configure} for details.
+     */
+
+    /**
+     * Adds validation rules for the items in the store. Each key in the
+     * schema is an item name, which may include "*" wildcards or be a
+     * nested path separated with "/". Each value is a
+     * {@link Store~SchemaRule}, a type name, or a predicate function.
+     * Rules are inherited by nested stores: when an item is set, the
+     * nearest store (starting with the item's own store) with a matching
+     * rule is used, and exact names take precedence over wildcards.
+     * Calling `define` again adds to or replaces the store's rules.
+     * @function Store#define
+     * @param {Object} schema The rules to add, keyed by item name.
+     * @param {Object} [options] Schema options.
+     * @param {String} [options.invalid='throw'] How to reject invalid
+     *  values: 'throw' to throw an error, or 'emit' to ignore the value
+     *  and fire an {@link Store#itemInvalid} event instead.
+     * @returns {Store} The Store instance on which `define` was called.
+     * @throws {Error} Parameter `name` must be a non-empty string
+     * @throws {Error} Schema rule for `name` is invalid.
+     * @example
+     * store.define({
+     *     activeRecord: {type: Record, required: true},
+     *     status: {enum: ['idle', 'saving', 'error']},
+     *     'count*': 'number',
+     *     'records/limit': limit => limit > 0
+     * });
+     * store.set('status', 'done'); // throws
+     * store.for('records').set('countAll', '12'); // throws
+     * @example
+     * store.define({status: 'string'}, {invalid: 'emit'});
+     * store.on(Store.Events.INVALID, log);
+     * store.set('status', 123); // logs and leaves status unchanged
+     */
+    define(schema, options) {
+        let {invalid = 'throw'} = options || {},
+            added = reduce(schema, (result, rule, name) => {
+                throwIfInvalidName(name);
+                let {store, prop} = getPropData(this, name);
+                return result.concat({store, rule: createRule(prop, rule, invalid)});
+            }, []);
+        added.forEach(({store, rule}) => {
+            let rules = data.get(store).rules;
+            remove(rules, {name: rule.name});
+            rules.push(rule);
+        });
+        return this;
+    }
+
+    /**
+     * @typedef Store~Operation
+     * @type {Object}
+     * @property {String} type The operation: 'set', 'delete', 'clear' or 'get'.
+     * @property {String} [path] The name or path passed to the method. Not
+     *  provided for 'clear' operations.
+     * @property {Store} store The store the path resolved to. For 'get'
+     *  operations on a path whose stores do not exist yet, this is the
+     *  nearest existing store.
+     * @property {String} [name] The name of the item within `store`. Not
+     *  provided for 'clear' operations.
+     * @property {*} [value] The value being set ('set' operations only).
+     * @property {Number} [ttl] The `ttl` option passed to `set` ('set'
+     *  operations only).
+     * @property {String[]} [pending] The names of the nested stores in
+     *  the path that do not exist yet, relative to `store` ('get'
+     *  operations only).
+     * @property {Boolean} [absent] The `absent` option passed to `get`
+     *  ('get' operations only).
+     * @property {Boolean} [flatten] The `flatten` option passed to `get`
+     *  ('get' operations only).
+     * @property {Boolean} [async] `true` if the value is a Promise or
+     *  Observable whose results should be stored ('set' operations only).
+     * @property {Boolean} [force] `true` if the value should be set even
+     *  if it equals the current value ('set' operations only).
+     * @property {Boolean} [meta] `true` if the operation was started by
+     *  {@link Store#getWithMeta} ('get' operations only).
+     * @property {Boolean} [nested] Whether nested stores are being cleared
+     *  ('clear' operations only).
+     */
+
+    /**
+     * Adds a middleware function that is invoked whenever an item is set,
+     * deleted or retrieved, or a store is cleared, in the store or any of
+     * its nested stores. The middleware is passed a {@link Store~Operation}
+     * and a `next` function that continues the operation. To change the
+     * operation -- for example, to modify the value or redirect it to a
+     * different store or name -- pass a new operation object to `next`.
+     * To block the operation, do not call `next`. For 'get' operations,
+     * `next` returns the Observable that `get` will return, and the
+     * middleware should return it (or a replacement); for other operations
+     * the return value is ignored. Middleware added to ancestor stores runs
+     * before middleware added to nested stores. Changes staged in a
+     * {@link Store#transaction} are each passed through the middleware
+     * before the transaction is applied.
+     * @function Store#use
+     * @param {Function} middleware The function to add.
+     * @returns {Function} A function that removes the middleware.
+     * @throws {Error} Parameter `middleware` must be a function.
+     * @example
+     * store.use(function logger(op, next) {
+     *     log(op.type, op.path);
+     *     return next();
+     * });
+     * @example
+     * var off = store.use(function trim(op, next) {
+     *     if (op.type === 'set' && isString(op.value)) {
+     *         return next(Object.assign({}, op, {value: op.value.trim()}));
+     *     }
+     *     return next();
+     * });
+     * off(); // remove the middleware
+     */
+    use(middleware) {
+        if (!isFunction(middleware)) {
+            throw new Error('Parameter `middleware` must be a function.');
+        }
+        let stack = data.get(this).middleware;
+        stack.push(middleware);
+        return () => pull(stack, middleware);
+    }
+
+    /**
+     * @typedef Store~ChangeRecord
+     * @type {Object}
+     * @property {String} type 'set' if the item was added or updated,
+     *  'delete' if it was deleted or expired, or 'clear' if it was
+     *  removed because its store was cleared.
+     * @property {String} path The path of the item, relative to the
+     *  watched store.
+     * @property {*} value The new value of the item ('set' only).
+     * @property {*} oldValue The previous value of the item, or
+     *  `undefined` if the item did not exist.
+     */
+
+    /**
+     * Returns an Observable whose subscribers will be notified of every
+     * item change in the store or its nested stores (including nested
+     * stores created after subscribing) whose path matches the specified
+     * pattern. Patterns are paths separated with "/" where "*" matches
+     * any part of a single name and "**" matches any number of nested
+     * stores. NOTE: Updates to computed items are not reported (see
+     * {@link Store#compute}).
+     * @function Store#watch
+     * @param {String} [pattern='**'] The paths to watch.
+     * @returns {Observable} A stream of {@link Store~ChangeRecord} objects.
+     * @throws {Error} Parameter `name` must be a non-empty string
+     * @example
+     * store.watch('users/42/*').subscribe(function(change) {
+     *     log(change.type, change.path, change.oldValue, change.value);
+     * });
+     * store.set('users/42/name', 'Jane'); // set users/42/name undefined Jane
+     * store.set('users/42/profile/bio', bio); // not logged
+     * @example
+     * store.watch('**').subscribe(logChange); // every change in the tree
+     * store.watch('users/**').subscribe(logChange); // every change in 'users'
+     */
+    watch(pattern = '**') {
+        throwIfInvalidName(pattern);
+        let patterns = parsePath(pattern).names,
+            recorders = data.get(this).recorders;
+        return new Observable(observer => {
+            let recorder = {
+                nested: true,
+                record: changes => changes.forEach(({type, store, name, value, oldValue}) => {
+                    let names = getRelativePath(this, store, name);
+                    if (!isUndefined(names) && matchesGlob(patterns, names)) {
+                        observer.next({type, path: names.map(escapeName).join('/'), value, oldValue});
+                    }
+                })
+            };
+            recorders.push(recorder);
+            return () => pull(recorders, recorder);
+        }).takeUntil(data.get(this).disposed$);
+    }
+
+    /**
+     * @typedef Store~LogEntry
+     * @type {Object}
+     * @property {String} type 'set', 'delete', 'clear', 'store-added' or
+     *  'store-removed'.
+     * @property {String} path The path of the item or store, relative to
+     *  the store whose `log$` was subscribed to. An empty string refers to
+     *  that store itself.
+     * @property {*} [value] The new value ('set' entries only).
+     * @property {Number} time When the operation occurred, according to
+     *  the store's `scheduler` option (see {@link Store#configure}).
+     */
+
+    /**
+     * A stream of {@link Store~LogEntry} objects describing every item set,
+     * deleted or expired, every store cleared, and every nested store added
+     * or removed in the store or its nested stores. Entries are only created
+     * while the stream has subscribers; collect them into an array to capture
+     * a session that can be replayed using {@link Store#replay} or
+     * {@link Store.fromLog}. NOTE: Clearing a store logs a 'delete' entry
+     * for each item followed by a 'clear' entry for the store. Updates to
+     * computed items are not logged (see {@link Store#compute}), and async
+     * items (see {@link Store#setAsync}) are only logged once they resolve,
+     * with their resolved value.
+     * @member {Observable} Store#log$
+     * @example
+     * var log = [];
+     * store.log$.subscribe(entry => log.push(entry));
+     * store.set('user/name', 'Jane');
+     * // [{type: 'store-added', path: 'user', time: ...},
+     * //  {type: 'set', path: 'user/name', value: 'Jane', time: ...}]
+     */
+    get log$() {
+        return new Observable(observer => listenTree(this, [
+            Store.Events.SET,
+            Store.Events.REMOVED,
+            Store.Events.CLEARED,
+            Store.Events.CREATED,
+            Store.Events.DETACHED
+        ], (event, e, store) => {
+            let entry = createLogEntry(this, event, e, store);
+            if (!isUndefined(entry)) {
+                observer.next(entry);
+            }
+        })).takeUntil(data.get(this).disposed$);
+    }
+
+    /**
+     * Applies the entries of a log captured from {@link Store#log$} to the
+     * store, in order. Paths are resolved relative to the store, and the
+     * usual events are fired for each operation.
+     * @function Store#replay
+     * @param {Store~LogEntry[]} log The entries to apply.
+     * @returns {Store} The Store instance on which `replay` was called.
+     * @throws {Error} Parameter `log` must be an array.
+     * @throws {Error} Unknown log entry type: type
+     * @example
+     * var copy = new Store().replay(log);
+     */
+    replay(log) {
+        if (!isArray(log)) {
+            throw new Error('Parameter `log` must be an array.');
+        }
+        log.forEach(entry => applyLogEntry(this, entry));
+        return this;
+    }
+
+    /**
+     * Creates a new root store by replaying a log captured from
+     * {@link Store#log$}, optionally stopping at a point in time.
+     * @function Store.fromLog
+     * @param {Store~LogEntry[]} log The entries to apply.
+     * @param {Object} [options] Replay options.
+     * @param {Number|Date} [options.until] The time of the last entry to
+     *  apply. Later entries are ignored.
+     * @returns {Store}
+     * @throws {Error} Parameter `log` must be an array.
+     * @throws {Error} Unknown log entry type: type
+     * @example
+     * // the state of the session 5 seconds after it started:
+     * var store = Store.fromLog(log, {until: log[0].time + 5000});
+     */
+    static fromLog(log, options) {
+        let {until} = options || {};
+        if (isArray(log) && !isUndefined(until)) {
+            log = takeWhile(log, entry => isObject(entry) && entry.time <= +until);
+        }
+        return new Store().replay(log);
+    }
+
+    /**
+     * Sets options for the store. Options are inherited by nested stores
+     * unless the nested store sets its own value for the option.
+     * @function Store#configure
+     * @param {Object} options The options to set.
+     * @param {Number} [options.ttl] The default number of milliseconds
+     *  until items set in the store expire. Use `Infinity` to prevent items
+     *  from expiring when an ancestor store sets a default. Expired items are
+     *  removed and an {@link Store#itemRemoved} event is fired with a
+     *  `reason` of 'expired'.
+     * @param {Scheduler} [options.scheduler=Scheduler.async] The RxJS
+     *  scheduler used to expire items. Use a virtual time scheduler to
+     *  control expiration in tests.
+     * @param {String|Function} [options.equals] How {@link Store#set}
+     *  compares a new value to the item's current value: 'strict' (`===`),
+     *  'shallow' (same own keys with `===` values), 'deep' (lodash
+     *  `isEqual`), or a function that is passed the current and new values
+     *  and returns `true` if they are equal. Values that compare equal are
+     *  ignored and no event is fired, but a `ttl` passed with the value
+     *  still replaces the item's expiration. By default, every value is set. Use
+     *  the `equals` property of a {@link Store~SchemaRule} to compare
+     *  specific items differently.
+     * @returns {Store} The Store instance on which `configure` was called.
+     * @throws {Error} Option `equals` must be 'strict', 'shallow', 'deep' or a function.
+     * @example
+     * var cache = store.for('cache').configure({ttl: 60000});
+     * cache.set('users', users); // expires in 1 minute
+     * cache.set('config', config, {ttl: Infinity}); // never expires
+     * @example
+     * var scheduler = new VirtualTimeScheduler();
+     * store.configure({ttl: 100, scheduler}).set('key', 'value');
+     * scheduler.flush();
+     * store.has('key'); // false
+     */
+    configure(options) {
+        if (has(options, 'equals') && !isComparer(options.equals)) {
+            throw new Error('Option `equals` must be \'strict\', \'shallow\', \'deep\' or a function.');
+        }
+        Object.assign(data.get(this).options, options);
         return this;
     }
 
     /**
      * Removes an instance from the store. You can specify nested
-     * stores using forward slashes (/) in the name. See the examples
+     * stores using forward slashes (/) in the name. If a nested store
+     * in the path does not exist, nothing happens. See the examples
      * for details.
      * @function Store#delete
      * @param {String} name The name of the item to delete.
      * @throws {Error} Parameter `name` must be a non-empty string
+     * @throws {Error} Item `name` is computed and cannot be changed.
      * @fires Store#itemRemoved
      * @example
      * store.set('key', 'value');
@@ -348,11 +2257,11 @@ export class Store extends Broker {
      */
     delete(name) {
         throwIfInvalidName(name);
-        let {store, items, prop} = getPropData(this, name);
-        if (store.has(prop)) {
-            items.delete(prop);
-            store.emit(Store.Events.REMOVED, {name: prop});
+        let {store, prop, exists} = findPropData(this, name);
+        if (!exists) {
+            return;
         }
+        runMiddleware({type: 'delete', path: name, store, name: prop}, deleteItem);
     }
 
     /**
@@ -369,17 +2278,1707 @@ export class Store extends Broker {
      *     .clear();
      */
     clear(nested) {
-        let meta = data.get(this);
-        meta.items.forEach((value, name, map) => {
-            map.delete(name);
-            this.emit(Store.Events.REMOVED, {name});
+        runMiddleware({type: 'clear', store: this, nested: !!nested},
+            op => recordChanges(clearItems(op.store, op.nested, [])));
+    }
+
+    /**
+     * Disposes and removes a nested store. See {@link Store#dispose}
+     * for details.
+     * @function Store#removeChild
+     * @param {String} name The name of the child store to remove. You
+     *  can specify nested stores by separating stores with a "/".
+     * @param {Object} [options] Disposal options.
+     * @param {Boolean} [options.disposeValues=false] `true` to call
+     *  `dispose()` on removed values that implement it.
+     * @returns {Store} The Store instance on which `removeChild` was called.
+     * @throws {Error} Parameter `name` must be a non-empty string
+     * @throws {Error} Path does not resolve to a Store.
+     * @fires Store#itemRemoved
+     * @fires Store#storeCleared
+     * @fires Store#storeRemoved
+     * @example
+     * var tab = store.for('tabs/42');
+     * store.removeChild('tabs/42');
+     * store.for('tabs').children(); // []
+     */
+    removeChild(name, options) {
+        throwIfInvalidName(name);
+        let {store, names} = resolvePath(this, name),
+            childName = names.pop(),
+            {store: parent, pending} = findChildStore(store, names),
+            child = isEmpty(pending) ? data.get(parent).children[childName] : undefined;
+        if (!(child instanceof Store)) {
+            throw new Error('Path does not resolve to a Store.');
+        }
+        detachChild(parent, childName, isObject(options) && !!options.disposeValues);
+        return this;
+    }
+
+    /**
+     * Disposes the store and all of its nested stores. Items are removed
+     * (firing the usual events), computed items stop updating, nested
+     * stores are removed from their parents, and every Observable
+     * returned by `get`, `getWithMeta` or `watch` for the disposed
+     * stores completes. If the store is itself a nested store, it is
+     * removed from its parent; use {@link Store#removeChild} to remove
+     * a nested store by name.
+     * @function Store#dispose
+     * @param {Object} [options] Disposal options.
+     * @param {Boolean} [options.disposeValues=false] `true` to call
+     *  `dispose()` on removed values that implement it.
+     * @fires Store#itemRemoved
+     * @fires Store#storeCleared
+     * @fires Store#storeRemoved
+     * @example
+     * var route = store.for('routes/settings');
+     * route.set('form', new FormModel());
+     * // when navigating away:
+     * route.dispose({disposeValues: true}); // calls form.dispose()
+     */
+    dispose(options) {
+        let disposeValues = isObject(options) && !!options.disposeValues,
+            parent = data.get(this).parent,
+            name = parent && findKey(data.get(parent).children, child => child === this);
+        if (isUndefined(name)) {
+            disposeStore(this, disposeValues);
+        } else {
+            detachChild(parent, name, disposeValues);
+        }
+    }
+
+    /**
+     * @typedef Store~History
+     * @type {Object}
+     * @property {Observable} canUndo$ A stream of Booleans indicating
+     *  whether there are changes that can be undone.
+     * @property {Observable} canRedo$ A stream of Booleans indicating
+     *  whether there are changes that can be redone.
+     * @property {Function} undo Reverts the most recent change. If a
+     *  checkpoint label is provided, reverts every change made since
+     *  that checkpoint. Returns the history instance.
+     * @property {Function} redo Reapplies the most recently undone
+     *  change. If a checkpoint label is provided, reapplies every change
+     *  up to that checkpoint. Returns the history instance.
+     * @property {Function} checkpoint Marks the current state with the
+     *  specified label. Returns the history instance.
+     * @property {Function} dispose Stops recording changes and
+     *  completes the `canUndo$` and `canRedo$` streams.
+     */
+
+    /**
+     * Starts recording changes made to the store so they can be undone
+     * and redone. Each call to `set`, `delete`, `clear` or `transaction`
+     * is recorded as a single step. Making a new change after undoing
+     * discards any changes that could have been redone.
+     * @function Store#history
+     * @param {Object} [options] History options.
+     * @param {Number} [options.limit=Infinity] The maximum number of steps
+     *  (including checkpoints) to remember.
+     * @param {Boolean} [options.nested=false] `true` to also record
+     *  changes made to nested stores.
+     * @returns {Store~History}
+     * @throws {Error} Checkpoint `label` does not exist.
+     * @example
+     * var history = store.history({limit: 50, nested: true});
+     * history.canUndo$.subscribe(enabled => btnUndo.disabled = !enabled);
+     * store.set('record/name', 'abc');
+     * history.checkpoint('saved');
+     * store.set('record/name', 'def').set('record/age', 42);
+     * history.undo(); // record/age is removed
+     * history.undo('saved'); // record/name is 'abc'
+     * history.redo(); // record/name is 'def'
+     */
+    history(options) {
+        return createHistory(this, options);
+    }
+
+    /**
+     * Applies multiple changes to the store (and nested stores) at once.
+     * Changes made through the transaction object are staged until the
+     * callback returns, so subscribers never see intermediate values.
+     * If the callback throws, none of the staged changes are applied
+     * and the error is rethrown. Once every change has been applied,
+     * the usual item events are fired, followed by a single
+     * {@link Store#storeBatch} event listing the changed paths.
+     * NOTE: Streams returned by `get` are notified one at a time, so
+     * combining them (for example, with `combineLatest`) can observe a
+     * partially-applied transaction. Use {@link Store#getAll} or listen
+     * for {@link Store#storeBatch} instead. If any change cannot be
+     * applied, nested stores created for the transaction's paths are
+     * removed again.
+     * @function Store#transaction
+     * @param {Function} callback The function that stages changes. It
+     *  will be passed a transaction object with chainable
+     *  `set(name, value, options)` and `delete(name)` methods, which accept
+     *  the same arguments as {@link Store#set} and {@link Store#delete}.
+     * @returns {Store} The Store instance on which `transaction` was called.
+     * @throws {Error} Parameter `name` must be a non-empty string
+     * @throws {Error} Path does not resolve to a Store.
+     * @throws {Error} Item `name` is computed and cannot be changed.
+     * @throws {Error} Invalid value for item `name`: reason.
+     * @fires Store#itemSet
+     * @fires Store#itemRemoved
+     * @fires Store#itemInvalid
+     * @fires Store#storeBatch
+     * @example
+     * store.transaction(function(tx) {
+     *     tx.set('user/first', 'Jane')
+     *       .set('user/last', 'Doe')
+     *       .delete('user/nickname');
+     * });
+     */
+    transaction(callback) {
+        let changes = new Map(),
+            stage = (name, change) => {
+                throwIfInvalidName(name);
+                changes.delete(name);
+                changes.set(name, change);
+                return tx;
+            },
+            tx = {
+                set: (name, value, options) => stage(name, {
+                    type: 'set',
+                    value,
+                    ttl: isObject(options) ? options.ttl : undefined,
+                    force: isObject(options) && !!options.force
+                }),
+                delete: name => stage(name, {type: 'delete'})
+            };
+        callback(tx);
+        let created = [],
+            staged = [],
+            renewed,
+            applied;
+        try {
+            changes.forEach((change, path) => {
+                let {store: parent, pending} = findPropData(this, path);
+                if (!isEmpty(pending)) {
+                    // like Store#delete, deleting from a missing store does nothing
+                    if (change.type === 'delete') {
+                        return;
+                    }
+                    created.push({parent, name: pending[0]});
+                }
+                let {store, prop} = getPropData(this, path);
+                // middleware doesn't have to return the result of `next`
+                runMiddleware(Object.assign({path, store, name: prop}, change), op => {
+                    throwIfComputed(op.store, op.name);
+                    staged.push(op);
+                });
+            });
+            renewed = staged.filter(op => op.type === 'set' && !op.force && !isUndefined(op.ttl) &&
+                isUnchanged(op.store, op.name, op.value));
+            applied = staged.filter(op => op.type === 'set' ?
+                (op.force || !isUnchanged(op.store, op.name, op.value)) &&
+                    isValidItem(op.store, op.name, op.value) :
+                data.get(op.store).items.has(op.name));
+        } catch (error) {
+            created.reverse().forEach(({parent, name}) => {
+                if (has(data.get(parent).children, name)) {
+                    detachChild(parent, name);
+                }
+            });
+            throw error;
+        }
+        recordChanges(applied.map(({type, store, name, value}) =>
+            type === 'set' ? writeItem(store, name, value) : removeItem(store, name)));
+        applied
+            .filter(op => op.type === 'set')
+            .forEach(({store, name, ttl}) => scheduleExpiry(store, name, ttl));
+        renewed.forEach(({store, name, ttl}) => renewExpiry(store, name, ttl));
+        runBatch(() => {
+            applied.forEach(({type, store, name, value}) => {
+                if (type === 'set') {
+                    store.emit(Store.Events.SET, eventData(store, name, {value}));
+                } else {
+                    store.emit(Store.Events.REMOVED, eventData(store, name));
+                }
+            });
+            if (!isEmpty(applied)) {
+                this.emit(Store.Events.BATCH, {paths: applied.map(change => change.path)});
+            }
         });
-        if (!!nested) {
-            forOwn(meta.children, child => child.clear(true));
+        return this;
+    }
+
+    /**
+     * Returns a plain object containing the items in the store (and,
+     * optionally, the items in nested stores). This method is also
+     * invoked by `JSON.stringify`.
+     * @function Store#toJSON
+     * @param {Object} [options] Serialization options.
+     * @param {Boolean} [options.nested=false] `true` to include nested
+     *  stores as objects keyed by the child store's name. NOTE: Nested
+     *  stores cannot be told apart from items whose values are plain
+     *  objects, so use {@link Store#snapshot} and {@link Store.fromSnapshot}
+     *  to copy a store tree.
+     * @returns {Object}
+     * @throws {Error} Name `name` refers to both an item and a Store.
+     * @example
+     * store.set('key', 'value').set('child/key', 'child value');
+     * store.toJSON(); // {key: 'value'}
+     * store.toJSON({nested: true});
+     * // {key: 'value', child: {key: 'child value'}}
+     */
+    toJSON(options) {
+        let meta = data.get(this),
+            nested = isObject(options) && !!options.nested,
+            result = {};
+        forEachSavedItem(this, (value, name) => result[name] = value);
+        if (nested) {
+            forOwn(meta.children, (child, name) => {
+                if (meta.items.has(name)) {
+                    throwIfNameConflict(name);
+                }
+                result[name] = child.toJSON(options);
+            });
         }
-        this.emit(Store.Events.CLEARED);
+        return result;
+    }
+
+    /**
+     * Sets each value in the given object on the store. When `nested`
+     * is `true`, plain object values are treated as child stores and
+     * hydrated recursively -- the inverse of {@link Store#toJSON}. The
+     * snapshot is validated before any values are set, so an invalid
+     * snapshot leaves the store unchanged.
+     * @function Store#hydrate
+     * @param {Object} snapshot The values to set.
+     * @param {Object} [options] Hydration options.
+     * @param {Boolean} [options.nested=false] `true` to hydrate plain
+     *  object values into child stores instead of setting them as items.
+     * @returns {Store} The Store instance on which `hydrate` was called.
+     * @throws {Error} Path does not resolve to a Store.
+     * @throws {Error} Name `name` refers to both an item and a Store.
+     * @fires Store#itemSet
+     * @fires Store#storeCreated
+     * @example
+     * store.hydrate({key: 'value', child: {key: 'child value'}}, {nested: true});
+     * store.for('child').has('key'); // true
+     */
+    hydrate(snapshot, options) {
+        let nested = isObject(options) && !!options.nested;
+        validateSnapshot(this, snapshot, nested);
+        forOwn(snapshot, (value, name) => {
+            if (nested && isPlainObject(value)) {
+                getChildStore(this, [name]).hydrate(value, options);
+            } else {
+                this.set(escapeName(name), value);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Returns a {@link StoreView} that only allows access to the items
+     * matching the specified patterns. Paths used with the view, and the
+     * patterns themselves, are resolved relative to this store, and the
+     * view cannot reach stores outside of it. The restrictions also apply
+     * to the views returned by the view's `for` and `view` methods. Use
+     * views to sandbox code, such as third-party plugins, that should only
+     * see part of the store tree. Items inherited from stores outside of
+     * the view (such as this store's ancestors) are treated as missing
+     * unless the `inherit` option is set.
+     * @function Store#view
+     * @param {Object} [options] The view's restrictions.
+     * @param {Boolean} [options.readonly=false] `true` to prevent all
+     *  changes through the view.
+     * @param {Boolean} [options.inherit=false] `true` to let the view read
+     *  values inherited from stores outside of it.
+     * @param {String[]} [options.allow=['**']] Glob patterns for the paths
+     *  of the items the view can access. See {@link Store#watch} for the
+     *  syntax.
+     * @param {String[]} [options.deny=[]] Glob patterns for the paths of
+     *  items the view cannot access, even if they are allowed.
+     * @returns {StoreView}
+     * @example
+     * var plugin = store.view({allow: ['user/*', 'plugins/acme/**'], deny: ['user/token']});
+     * plugin.get('user/name').subscribe(render);
+     * plugin.for('plugins/acme').set('enabled', true);
+     * plugin.get('user/token'); // throws AccessError
+     * plugin.for('..'); // throws AccessError
+     * @example
+     * var inspector = store.view({readonly: true});
+     * inspector.set('key', 'value'); // throws AccessError
+     * @example
+     * store.set('token', secret);
+     * store.for('plugins').view().peek('token'); // undefined
+     * store.for('plugins').view({inherit: true}).peek('token'); // secret
+     */
+    view(options) {
+        return createView(this, [], [], options);
+    }
+
+    /**
+     * @typedef Store~Snapshot
+     * @type {Object}
+     * @property {Object} items Copies of the store's items, keyed by name.
+     *  Computed items are not included, and async items (see
+     *  {@link Store#setAsync}) are only included, as their value, once
+     *  they resolve.
+     * @property {Object.<String, Store~Snapshot>} children Snapshots of
+     *  the store's nested stores, keyed by name.
+     */
+
+    /**
+     * Returns a copy of the state of the store and its nested stores.
+     * Unlike {@link Store#toJSON}, items and nested stores are kept
+     * separate, so plain object values are restored as items.
+     * @function Store#snapshot
+     * @returns {Store~Snapshot}
+     * @example
+     * var saved = store.snapshot();
+     * store.set('key', 'changed');
+     * store.restore(saved);
+     */
+    snapshot() {
+        let items = {};
+        forEachSavedItem(this, (value, name) => items[name] = copyValue(value));
+        return {items, children: mapValues(data.get(this).children, child => child.snapshot())};
     }
 
+    /**
+     * Returns the store and its nested stores to the state captured by
+     * {@link Store#snapshot}. Items not in the snapshot are removed, and
+     * the changes are applied as a single {@link Store#transaction}.
+     * Nested stores that are not in the snapshot are emptied rather than
+     * removed, so existing subscribers keep receiving values.
+     * @function Store#restore
+     * @param {Store~Snapshot} snapshot The state to restore.
+     * @returns {Store} The Store instance on which `restore` was called.
+     * @throws {Error} Parameter `snapshot` must be a store snapshot.
+     * @throws {Error} Invalid value for item `name`: reason.
+     * @fires Store#itemSet
+     * @fires Store#itemRemoved
+     * @fires Store#storeBatch
+     */
+    restore(snapshot) {
+        if (!isPlainObject(snapshot) || !isPlainObject(snapshot.items || {}) ||
+            !isPlainObject(snapshot.children || {})) {
+            throw new Error('Parameter `snapshot` must be a store snapshot.');
+        }
+        return this.transaction(tx => stageRestore(this, snapshot, [], tx));
+    }
+
+    /**
+     * Creates a new root store from a {@link Store~Snapshot}. Snapshots
+     * keep items and nested stores separate, so -- unlike
+     * {@link Store.fromJSON} -- plain object values are restored as items.
+     * Snapshots can be converted to and from JSON as long as their values
+     * can.
+     * @function Store.fromSnapshot
+     * @param {Store~Snapshot} snapshot The state of the new store.
+     * @returns {Store}
+     * @throws {Error} Parameter `snapshot` must be a store snapshot.
+     * @example
+     * store.set('prefs', {theme: 'dark'}).set('child/key', 'value');
+     * var copy = Store.fromSnapshot(JSON.parse(JSON.stringify(store.snapshot())));
+     * copy.peek('prefs'); // {theme: 'dark'}
+     */
+    static fromSnapshot(snapshot) {
+        return new Store().restore(snapshot);
+    }
+
+    /**
+     * Creates a new root store from the given object. Plain object
+     * values are hydrated into child stores unless `nested` is
+     * explicitly `false`, so items whose values are plain objects do not
+     * survive a round trip through {@link Store#toJSON}; use
+     * {@link Store.fromSnapshot} to copy those stores.
+     * @function Store.fromJSON
+     * @param {Object} snapshot The object to create the store from,
+     *  typically the result of {@link Store#toJSON}.
+     * @param {Object} [options] Hydration options.
+     * @param {Boolean} [options.nested=true] `false` to set plain object
+     *  values as items instead of child stores.
+     * @returns {Store}
+     * @throws {Error} Parameter `name` must be a non-empty string
+     * @example
+     * var copy = Store.fromJSON({key: 'value', child: {key: 'child value'}});
+     * copy.for('child').peek('key'); // 'child value'
+     */
+    static fromJSON(snapshot, options) {
+        return new Store().hydrate(snapshot,
+            Object.assign({nested: true}, options));
+    }
+
+    /**
+     * Loads any previously saved values from the adapter into the store
+     * and then saves the store (including nested stores) back to the
+     * adapter whenever an item is set or removed or a store is cleared.
+     * The store is saved as a {@link Store~Snapshot}, so plain object
+     * values are reloaded as items. Saved values are set in a single
+     * {@link Store#transaction}, so the usual events will be fired; items
+     * missing from the saved snapshot are left in place. Only one save runs
+     * at a time, and changes made while a save is running are saved
+     * together once it completes.
+     * @function Store#persist
+     * @param {PersistenceAdapter} adapter The adapter used to load and
+     *  save values. See {@link MemoryAdapter} and {@link WebStorageAdapter}.
+     * @param {Object} [options] Persistence options.
+     * @param {String[]} [options.keys] The names of the items or child
+     *  stores to persist. Nested paths can be separated with a "/". By
+     *  default, everything in the store is persisted.
+     * @param {Number} [options.debounce=0] The number of milliseconds to
+     *  wait after the last change before saving.
+     * @returns {Promise} A promise resolved once saved values have been
+     *  loaded. The promise's value is a function that stops persisting
+     *  changes, saving any pending changes first.
+     * @throws {Error} Parameter `adapter` must implement `load` and `save`.
+     * @fires Store#storeBatch
+     * @fires Broker#error
+     * @example
+     * store.persist(new WebStorageAdapter(localStorage, 'app-state'), {
+     *     keys: ['preferences', 'records/activeRecord'],
+     *     debounce: 250
+     * }).then(function loaded(stop) {
+     *     // values have been restored; call stop() to stop saving
+     * });
+     */
+    persist(adapter, options) {
+        if (!isObject(adapter) || !isFunction(adapter.load) || !isFunction(adapter.save)) {
+            throw new Error('Parameter `adapter` must implement `load` and `save`.');
+        }
+        let {keys, debounce: wait = 0} = options || {},
+            paths = keys && keys.map(key => parsePath(key).names),
+            filter = snapshot => isUndefined(paths) ? snapshot : pickSnapshot(snapshot, paths),
+            saving = Promise.resolve(),
+            queued = false,
+            final,
+            save = () => {
+                // saves run one at a time, and changes made before a queued
+                // save starts are saved together
+                if (!queued) {
+                    queued = true;
+                    saving = saving.then(() => {
+                        queued = false;
+                        return adapter.save(isUndefined(final) ? filter(this.snapshot()) : final);
+                    }).catch(error => this.emit(Broker.Events.ERROR, {error}));
+                }
+                return saving;
+            },
+            write = wait > 0 ? debounce(save, wait) : save;
+        return Promise.resolve(adapter.load()).then(snapshot => {
+            if (isObject(snapshot)) {
+                // without a store to compare against, nothing is removed
+                this.transaction(tx => stageRestore(undefined, filter(snapshot), [], tx));
+            }
+            let off = listenTree(this, [
+                Store.Events.SET,
+                Store.Events.REMOVED,
+                Store.Events.CLEARED
+            ], () => write());
+            return () => {
+                off();
+                if (isFunction(write.flush)) {
+                    write.flush();
+                }
+                if (queued) {
+                    // later changes must not be included in the last save
+                    final = filter(this.snapshot());
+                }
+            };
+        });
+    }
+
+    /**
+     * @typedef Store~SyncUpdate
+     * @type {Object}
+     * @property {String} type 'set' or 'delete'.
+     * @property {String} path The path of the item, relative to the
+     *  store on which `sync` was called.
+     * @property {*} [value] The new value ('set' updates only).
+     * @property {Number} time When the update was made, according to the
+     *  `scheduler` option of the store that made it (see
+     *  {@link Store#configure}).
+     * @property {String} origin The ID of the store instance that made
+     *  the update.
+     */
+
+    /**
+     * Mirrors changes between this store and stores in other contexts --
+     * such as other tabs, workers or frames -- that call `sync` on the
+     * other end of the channel. Items set, deleted, cleared or expired in
+     * the store (or its nested stores) are posted to the channel, and
+     * updates received from the channel are applied to the store. Each
+     * update carries the ID of the store instance that made it, so updates
+     * are never applied back to their origin. When an update is received
+     * for an item that has been changed locally, the `resolve` function
+     * decides which change wins; by default, the most recent change wins,
+     * so the stores' schedulers should agree on the current time. Only
+     * changes made after `sync` is called are mirrored, and values
+     * must be supported by the channel's structured cloning.
+     * @function Store#sync
+     * @param {Object} channel An object that implements `postMessage` and
+     *  either `addEventListener` or `onmessage`, such as a BroadcastChannel,
+     *  MessagePort or Worker.
+     * @param {Object} [options] Synchronization options.
+     * @param {String[]} [options.paths=['**']] Glob patterns for the paths of
+     *  the items to synchronize. See {@link Store#watch} for the syntax.
+     * @param {Function} [options.resolve] Resolves conflicting updates. It
+     *  will be passed the last local {@link Store~SyncUpdate} for the item
+     *  and the received update, and must return the update that wins.
+     * @param {String} [options.origin] The ID that identifies this store
+     *  instance's updates. By default, a random ID is generated.
+     * @returns {Function} A function that stops synchronizing the store.
+     * @throws {Error} Parameter `channel` must implement `postMessage`.
+     * @example
+     * var channel = new BroadcastChannel('app-state');
+     * var stop = store.sync(channel, {paths: ['preferences/**', 'session']});
+     * store.set('preferences/theme', 'dark'); // set in every open tab
+     * @example
+     * // in a worker; the page calls sync(worker)
+     * store.sync(self, {
+     *     resolve: (local, remote) => remote.value.version > local.value.version ? remote : local
+     * });
+     */
+    sync(channel, options) {
+        if (!isObject(channel) || !isFunction(channel.postMessage)) {
+            throw new Error('Parameter `channel` must implement `postMessage`.');
+        }
+        let {paths = ['**'], resolve = lastWriterWins, origin = createOriginId()} = options || {},
+            patterns = paths.map(path => parsePath(path).names),
+            isSynced = path => patterns.some(pattern => matchesGlob(pattern, parsePath(path).names)),
+            now = () => (getOption(this, 'scheduler') || Scheduler.async).now(),
+            updates = new Map(),
+            applying = false,
+            subscription = this.watch().subscribe(({type, path, value}) => {
+                if (applying || !isSynced(path)) {
+                    return;
+                }
+                let update = type === 'set' ?
+                    {type, path, value, time: now(), origin} :
+                    {type: 'delete', path, time: now(), origin};
+                updates.set(path, update);
+                channel.postMessage({protocol: SYNC_PROTOCOL, update});
+            }),
+            off = listenChannel(channel, ({data: message}) => {
+                let update = isPlainObject(message) && message.protocol === SYNC_PROTOCOL ?
+                        message.update : undefined,
+                    local = update && updates.get(update.path);
+                if (isUndefined(update) || update.origin === origin || !isSynced(update.path) ||
+                    (!isUndefined(local) && resolve(local, update) !== update)) {
+                    return;
+                }
+                updates.set(update.path, update);
+                applying = true;
+                try {
+                    if (update.type === 'set') {
+                        this.set(update.path, update.value);
+                    } else {
+                        this.delete(update.path);
+                    }
+                } catch (error) {
+                    this.emit(Broker.Events.ERROR, {error});
+                } finally {
+                    applying = false;
+                }
+            }),
+            stop = () => {
+                subscription.unsubscribe();
+                off();
+            };
+        data.get(this).disposed$.subscribe(stop);
+        return stop;
+    }
+
+    /**
+     * Makes the store available to a {@link RemoteStore} in another
+     * context, such as a Web Worker, that calls {@link Store.connect}
+     * with the other end of the channel. Values are sent using the
+     * channel's structured cloning, so they cannot include functions.
+     * @function Store.expose
+     * @param {Store} store The store to make available.
+     * @param {Object} port An object that implements `postMessage` and
+     *  either `addEventListener` or `onmessage`, such as a MessagePort
+     *  or Worker.
+     * @returns {Function} A function that stops responding to requests
+     *  and completes any outstanding `get` streams.
+     * @throws {Error} The argument provided must be a Store instance.
+     * @throws {Error} Parameter `port` must implement `postMessage`.
+     * @example
+     * // in the page:
+     * var worker = new Worker('worker.js');
+     * Store.expose(store, worker);
+     * // in worker.js:
+     * var remote = Store.connect(self);
+     * remote.for('records').get('active').subscribe(process);
+     */
+    static expose(store, port) {
+        if (!(store instanceof Store)) {
+            throw new Error('The argument provided must be a Store instance.');
+        }
+        if (!isObject(port) || !isFunction(port.postMessage)) {
+            throw new Error('Parameter `port` must implement `postMessage`.');
+        }
+        return exposeStore(store, port);
+    }
+
+    /**
+     * The global hook used by inspectors and other debugging tools.
+     * @member {Object} Store.devtools
+     * @property {Function} attach Starts recording a store tree and
+     *  returns a {@link DevtoolsSession}. Accepts the store and an
+     *  optional `options` object with a `limit` property: the maximum
+     *  number of states to keep (a positive integer, default 100).
+     * @property {Function} sessions Returns the sessions that have not
+     *  been detached.
+     * @example
+     * var session = Store.devtools.attach(store);
+     * session.messages$.subscribe(sendToInspector);
+     * session.send({type: 'inspect', path: 'admin/users/theme'});
+     */
+    static get devtools() {
+        return devtools;
+    }
+
+    /**
+     * Returns a {@link RemoteStore} backed by a store that another context
+     * made available using {@link Store.expose}.
+     * @function Store.connect
+     * @param {Object} port An object that implements `postMessage` and
+     *  either `addEventListener` or `onmessage`, such as a MessagePort
+     *  or Worker.
+     * @returns {RemoteStore}
+     * @throws {Error} Parameter `port` must implement `postMessage`.
+     * @example
+     * var remote = Store.connect(self);
+     * remote.set('progress', 0.5).then(function() {
+     *     // the value has been set in the exposed store
+     * });
+     */
+    static connect(port) {
+        if (!isObject(port) || !isFunction(port.postMessage)) {
+            throw new Error('Parameter `port` must implement `postMessage`.');
+        }
+        let connection = {port, nextId: 0, handlers: new Map()};
+        connection.off = listenChannel(port, ({data: message}) => {
+            let handler = isPlainObject(message) && message.protocol === REMOTE_PROTOCOL ?
+                connection.handlers.get(message.id) : undefined;
+            if (!isUndefined(handler)) {
+                handler(message);
+            }
+        });
+        return new RemoteStore(connection, '');
+    }
+
+}
+
+// PERSISTENCE ADAPTERS
+
+/**
+ * @interface PersistenceAdapter
+ * @desc The interface used by {@link Store#persist} to load and save
+ *  store values. Implement this interface to persist stores to other
+ *  locations, such as IndexedDB or a remote server.
+ */
+
+/**
+ * Loads the saved snapshot.
+ * @function PersistenceAdapter#load
+ * @returns {Promise} A promise resolved with the saved snapshot, or
+ *  with `undefined` if nothing has been saved.
+ */
+
+/**
+ * Saves the snapshot.
+ * @function PersistenceAdapter#save
+ * @param {Store~Snapshot} snapshot The snapshot to save. See
+ *  {@link Store#snapshot}.
+ * @returns {Promise} A promise resolved once the snapshot is saved.
+ */
+
+/**
+ * Persists store values in memory. Useful for testing and for
+ * sharing values between stores in the same process.
+ * @class MemoryAdapter
+ * @implements {PersistenceAdapter}
+ * @param {Store~Snapshot} [snapshot] The initial saved snapshot.
+ * @example
+ * var adapter = new MemoryAdapter({items: {key: 'value'}});
+ * store.persist(adapter).then(function() {
+ *     store.has('key'); // true
+ * });
+ */
+export class MemoryAdapter {
+
+    constructor(snapshot) {
+        data.set(this, {snapshot: cloneDeep(snapshot)});
+    }
+
+    load() {
+        return Promise.resolve(cloneDeep(data.get(this).snapshot));
+    }
+
+    save(snapshot) {
+        data.get(this).snapshot = cloneDeep(snapshot);
+        return Promise.resolve();
+    }
+
+}
+
+/**
+ * Persists store values as JSON in a Web Storage object such as
+ * `localStorage` or `sessionStorage`.
+ * @class WebStorageAdapter
+ * @implements {PersistenceAdapter}
+ * @param {Storage} storage The storage object to use.
+ * @param {String} key The storage key to save the JSON under.
+ * @throws {Error} Parameter `key` must be a non-empty string
+ * @example
+ * store.persist(new WebStorageAdapter(sessionStorage, 'session-state'));
+ */
+export class WebStorageAdapter {
+
+    constructor(storage, key) {
+        if (!isString(key) || isEmpty(trim(key))) {
+            throw new Error('Parameter `key` must be a non-empty string');
+        }
+        data.set(this, {storage, key});
+    }
+
+    load() {
+        let {storage, key} = data.get(this);
+        return Promise.resolve().then(() => {
+            let json = storage.getItem(key);
+            return json === null ? undefined : JSON.parse(json);
+        });
+    }
+
+    save(snapshot) {
+        let {storage, key} = data.get(this);
+        return Promise.resolve().then(
+            () => storage.setItem(key, JSON.stringify(snapshot))
+        );
+    }
+
+}
+
+// REMOTE STORES
+
+const remoteMethods = {
+    set: (store, path, [value, options]) => {
+        store.set(path, value, pick(options, ['ttl', 'force']));
+    },
+    delete: (store, path) => {
+        store.delete(path);
+    },
+    clear: (store, path, [nested]) => {
+        (isEmpty(path) ? store : store.for(path)).clear(nested);
+    },
+    has: (store, path, [options]) => store.has(path, options)
+};
+
+function exposeStore(store, port) {
+    let subscriptions = new Map(),
+        reply = (id, message) => {
+            try {
+                port.postMessage(Object.assign({protocol: REMOTE_PROTOCOL, id}, message));
+                return true;
+            } catch (error) {
+                port.postMessage({protocol: REMOTE_PROTOCOL, id, type: 'error', error: error.message});
+                return false;
+            }
+        },
+        off = listenChannel(port, ({data: message}) => {
+            if (!isPlainObject(message) || message.protocol !== REMOTE_PROTOCOL) {
+                return;
+            }
+            let {id, method, path, args = []} = message;
+            if (method === 'unsubscribe') {
+                if (subscriptions.has(id)) {
+                    subscriptions.get(id).unsubscribe();
+                    subscriptions.delete(id);
+                }
+                return;
+            }
+            try {
+                if (method === 'get') {
+                    let subscriber = Subscriber.create(
+                        value => {
+                            // the proxy ends the stream when it receives an error
+                            if (!reply(id, value === ABSENT ? {type: 'next', absent: true} : {type: 'next', value})) {
+                                subscriber.unsubscribe();
+                                subscriptions.delete(id);
+                            }
+                        },
+                        error => {
+                            subscriptions.delete(id);
+                            reply(id, {type: 'error', error: error.message});
+                        },
+                        () => {
+                            subscriptions.delete(id);
+                            reply(id, {type: 'complete'});
+                        }
+                    );
+                    store.get(path, args[0]).subscribe(subscriber);
+                    if (!subscriber.closed) {
+                        subscriptions.set(id, subscriber);
+                    }
+                } else if (has(remoteMethods, method)) {
+                    reply(id, {type: 'result', value: remoteMethods[method](store, path, args)});
+                } else {
+                    throw new Error(`Unknown remote method: ${method}`);
+                }
+            } catch (error) {
+                reply(id, {type: 'error', error: error.message});
+            }
+        });
+    return () => {
+        off();
+        subscriptions.forEach((subscription, id) => {
+            subscription.unsubscribe();
+            reply(id, {type: 'complete'});
+        });
+        subscriptions.clear();
+    };
+}
+
+function getRemotePath(remote, name) {
+    throwIfInvalidName(name);
+    let path = joinPaths(data.get(remote).base, name).replace(/^\//, '');
+    if (parsePath(path).names[0] === '..') {
+        throw new Error('Path does not resolve to a Store.');
+    }
+    return path;
+}
+
+function sendRequest(remote, method, path, args) {
+    let {connection} = data.get(remote),
+        id = ++connection.nextId;
+    return new Promise((resolve, reject) => {
+        if (connection.closed) {
+            throw new Error('The connection is closed.');
+        }
+        connection.handlers.set(id, ({type, value, error}) => {
+            connection.handlers.delete(id);
+            if (type === 'error') {
+                reject(new Error(error));
+            } else if (type === 'close') {
+                reject(new Error('The connection is closed.'));
+            } else {
+                resolve(value);
+            }
+        });
+        connection.port.postMessage({protocol: REMOTE_PROTOCOL, id, method, path, args});
+    });
+}
+
+/**
+ * A proxy for a {@link Store} in another context, returned by
+ * {@link Store.connect}. Reads and writes are sent to the exposed
+ * store over the port, so methods that change the store return
+ * Promises instead of the store itself. Paths are resolved relative
+ * to the proxy, and absolute paths are resolved relative to the
+ * exposed store.
+ * @class RemoteStore
+ * @example
+ * var remote = Store.connect(port),
+ *     records = remote.for('records');
+ * records.get('active').subscribe(render);
+ * records.set('active', record).then(function() { ... });
+ */
+export class RemoteStore {
+
+    constructor(connection, base) {
+        data.set(this, {connection, base});
+    }
+
+    /**
+     * Returns a proxy for a nested store. The nested store is not
+     * created in the exposed store until an item is set in it.
+     * @function RemoteStore#for
+     * @param {String} name The path of the nested store.
+     * @returns {RemoteStore}
+     * @throws {Error} Parameter `name` must be a non-empty string
+     * @throws {Error} Path does not resolve to a Store.
+     */
+    for(name) {
+        return new RemoteStore(data.get(this).connection, getRemotePath(this, name));
+    }
+
+    /**
+     * Returns an Observable of the item's values in the exposed store.
+     * See {@link Store#get} for details.
+     * @function RemoteStore#get
+     * @param {String} name The path of the item.
+     * @param {Object} [options] The options passed to {@link Store#get}.
+     * @returns {Observable}
+     * @throws {Error} Parameter `name` must be a non-empty string
+     * @throws {Error} Path does not resolve to a Store.
+     */
+    get(name, options) {
+        let path = getRemotePath(this, name),
+            {connection} = data.get(this);
+        return new Observable(observer => {
+            if (connection.closed) {
+                return observer.error(new Error('The connection is closed.'));
+            }
+            let id = ++connection.nextId;
+            connection.handlers.set(id, ({type, value, absent, error}) => {
+                if (type === 'next') {
+                    observer.next(absent ? ABSENT : value);
+                } else if (type === 'error') {
+                    connection.handlers.delete(id);
+                    observer.error(new Error(error));
+                } else if (type === 'complete') {
+                    connection.handlers.delete(id);
+                    observer.complete();
+                } else {
+                    // closing: the teardown tells the exposed store to unsubscribe
+                    observer.complete();
+                }
+            });
+            connection.port.postMessage({protocol: REMOTE_PROTOCOL, id, method: 'get', path, args: [options]});
+            return () => {
+                if (connection.handlers.delete(id)) {
+                    connection.port.postMessage({protocol: REMOTE_PROTOCOL, id, method: 'unsubscribe'});
+                }
+            };
+        });
+    }
+
+    /**
+     * Sets an item in the exposed store. See {@link Store#set} for details.
+     * @function RemoteStore#set
+     * @param {String} name The path of the item.
+     * @param {*} value The value to set.
+     * @param {Object} [options] The `ttl` and `force` options passed to
+     *  {@link Store#set}.
+     * @returns {Promise} A promise resolved with the RemoteStore once the
+     *  value has been set, or rejected if the exposed store throws.
+     * @throws {Error} Parameter `name` must be a non-empty string
+     * @throws {Error} Path does not resolve to a Store.
+     */
+    set(name, value, options) {
+        return sendRequest(this, 'set', getRemotePath(this, name), [value, options])
+            .then(() => this);
+    }
+
+    /**
+     * Removes an item from the exposed store. See {@link Store#delete}.
+     * @function RemoteStore#delete
+     * @param {String} name The path of the item.
+     * @returns {Promise} A promise resolved once the item has been removed.
+     * @throws {Error} Parameter `name` must be a non-empty string
+     * @throws {Error} Path does not resolve to a Store.
+     */
+    delete(name) {
+        return sendRequest(this, 'delete', getRemotePath(this, name), []);
+    }
+
+    /**
+     * Removes all items from the store in the exposed store. See
+     * {@link Store#clear}.
+     * @function RemoteStore#clear
+     * @param {Boolean} [nested=false] `true` to also clear nested stores.
+     * @returns {Promise} A promise resolved once the store has been cleared.
+     */
+    clear(nested) {
+        return sendRequest(this, 'clear', data.get(this).base, [!!nested]);
+    }
+
+    /**
+     * Checks whether the exposed store has the item. See {@link Store#has}.
+     * @function RemoteStore#has
+     * @param {String} name The path of the item.
+     * @param {Object} [options] The options passed to {@link Store#has}.
+     * @returns {Promise} A promise resolved with `true` if the item exists;
+     *  otherwise, `false`.
+     * @throws {Error} Parameter `name` must be a non-empty string
+     * @throws {Error} Path does not resolve to a Store.
+     */
+    has(name, options) {
+        return sendRequest(this, 'has', getRemotePath(this, name), [options]);
+    }
+
+    /**
+     * Stops using the port. The connection is shared by the proxy returned
+     * by {@link Store.connect} and every proxy created from it using `for`,
+     * so closing any of them closes all of them. Open `get` streams
+     * complete, pending requests are rejected, and later calls fail with
+     * the same error. The port itself is left open.
+     * @function RemoteStore#close
+     * @example
+     * var remote = Store.connect(port);
+     * remote.get('progress').subscribe(render);
+     * remote.close(); // the stream completes
+     * remote.set('progress', 1); // rejected: The connection is closed.
+     */
+    close() {
+        let {connection} = data.get(this);
+        if (connection.closed) {
+            return;
+        }
+        connection.closed = true;
+        connection.off();
+        Array.from(connection.handlers.values()).forEach(handler => handler({type: 'close'}));
+        connection.handlers.clear();
+    }
+
+}
+
+// VIEWS
+
+/**
+ * The error thrown when a {@link StoreView} is used to access an item
+ * or store that its restrictions do not allow.
+ * @class AccessError
+ * @extends Error
+ * @param {String} message The error message.
+ * @param {String} path The path that could not be accessed.
+ * @param {String} operation 'read', 'write' or 'navigate'.
+ * @example
+ * try {
+ *     view.set('user/token', token);
+ * } catch (error) {
+ *     if (error instanceof AccessError) { ... }
+ * }
+ */
+// not a class: Babel cannot subclass built-ins such as Error
+export function AccessError(message, path, operation) {
+    this.name = 'AccessError';
+    this.message = message;
+    this.path = path;
+    this.operation = operation;
+    this.stack = new Error(message).stack;
+}
+
+AccessError.prototype = Object.create(Error.prototype, {
+    constructor: {value: AccessError, writable: true, configurable: true}
+});
+
+function createView(store, base, rules, options) {
+    let {readonly: readOnly = false, inherit = false, allow = ['**'], deny = []} = options || {};
+    if (!isArray(allow) || !isArray(deny)) {
+        throw new Error('Parameters `allow` and `deny` must be arrays.');
+    }
+    allow.concat(deny).forEach(throwIfInvalidName);
+    return new StoreView(store, base, rules.concat({
+        prefix: base,
+        readonly: !!readOnly,
+        inherit: !!inherit,
+        allow: allow.map(pattern => parsePath(pattern).names),
+        deny: deny.map(pattern => parsePath(pattern).names)
+    }));
+}
+
+function getViewNames(view, name) {
+    throwIfInvalidName(name);
+    let {base, rules} = data.get(view),
+        {absolute, names} = parsePath(name),
+        root = rules[rules.length - 1].prefix,
+        result = normalizeNames((absolute ? root : base).concat(names));
+    if (result[0] === '..' || rules.some(({prefix}) => !isEqual(result.slice(0, prefix.length), prefix))) {
+        throw new AccessError(`Path \`${name}\` is outside the view.`, name, 'navigate');
+    }
+    return result;
+}
+
+function isViewAllowed(rules, names) {
+    return rules.every(({prefix, allow, deny}) => {
+        let relative = names.slice(prefix.length),
+            matches = patterns => patterns.some(pattern => matchesGlob(pattern, relative));
+        return isEqual(names.slice(0, prefix.length), prefix) && matches(allow) && !matches(deny);
+    });
+}
+
+function checkViewAccess(view, name, operation) {
+    let names = getViewNames(view, name),
+        {rules} = data.get(view);
+    if (!isViewAllowed(rules, names)) {
+        throw new AccessError(`Item \`${name}\` is not accessible through the view.`, name, operation);
+    }
+    if (operation === 'write' && rules.some(rule => rule.readonly)) {
+        throw new AccessError(`Item \`${name}\` is read-only in the view.`, name, operation);
+    }
+    return names.map(escapeName).join('/');
+}
+
+function createViewRead(view, name, options) {
+    let path = checkViewAccess(view, name, 'read'),
+        {store, prop, pending} = findPropData(data.get(view).store, path);
+    return {type: 'get', path, store, name: prop, pending, absent: isObject(options) && !!options.absent};
+}
+
+function getViewSourceNames(view, source) {
+    let {store} = data.get(view);
+    return includes(getLineage(source), store) ? getRelativePath(store, source, []) : undefined;
+}
+
+function isViewSource(view, source) {
+    let names = getViewSourceNames(view, source);
+    // unless inheritance is allowed, values must come from inside the view
+    return data.get(view).rules.every(({prefix, inherit}) => inherit ||
+        !isUndefined(names) && isEqual(names.slice(0, prefix.length), prefix));
+}
+
+function getViewSource(view, source) {
+    let {store, rules} = data.get(view),
+        names = getViewSourceNames(view, source);
+    return isUndefined(names) ? undefined : new StoreView(store, names, rules);
+}
+
+/**
+ * A restricted facade for a {@link Store}, returned by {@link Store#view}.
+ * Paths are resolved relative to the view, and absolute paths are resolved
+ * relative to the store `view` was called on. Reading or changing items the
+ * view does not allow throws an {@link AccessError}.
+ * @class StoreView
+ */
+export class StoreView {
+
+    constructor(store, base, rules) {
+        data.set(this, {store, base, rules});
+    }
+
+    /**
+     * Returns a view of a nested store with the same restrictions. The
+     * nested store is not created until an item is set in it.
+     * @function StoreView#for
+     * @param {String} name The path of the nested store.
+     * @returns {StoreView}
+     * @throws {Error} Parameter `name` must be a non-empty string
+     * @throws {AccessError} Path `name` is outside the view.
+     */
+    for(name) {
+        let {store, rules} = data.get(this);
+        return new StoreView(store, getViewNames(this, name), rules);
+    }
+
+    /**
+     * Returns a view with additional restrictions, relative to this view.
+     * The new view keeps all of this view's restrictions.
+     * @function StoreView#view
+     * @param {Object} [options] See {@link Store#view}.
+     * @returns {StoreView}
+     */
+    view(options) {
+        let {store, base, rules} = data.get(this);
+        return createView(store, base, rules, options);
+    }
+
+    /**
+     * See {@link Store#get}.
+     * @function StoreView#get
+     * @throws {AccessError} Item `name` is not accessible through the view.
+     */
+    get(name, options) {
+        let flatten = isObject(options) && !!options.flatten;
+        return runMiddleware(Object.assign(createViewRead(this, name, options), {flatten}),
+            op => getItemValues(op, source => isViewSource(this, source))) || Observable.empty();
+    }
+
+    /**
+     * See {@link Store#getWithMeta}. The `source` of each
+     * {@link Store~ValueInfo} is a view of the store that provided the
+     * value, with the same restrictions, or `undefined` if that store is
+     * outside of the view.
+     * @function StoreView#getWithMeta
+     * @throws {AccessError} Item `name` is not accessible through the view.
+     */
+    getWithMeta(name, options) {
+        let op = Object.assign(createViewRead(this, name, options), {meta: true});
+        return (runMiddleware(op, current => getItemInfo(current,
+            source => isViewSource(this, source),
+            source => getViewSource(this, source))) || Observable.empty())
+            .map(info => Object.assign(info, {path: name}));
+    }
+
+    /**
+     * See {@link Store#getAll}.
+     * @function StoreView#getAll
+     * @throws {AccessError} Item `name` is not accessible through the view.
+     */
+    getAll(names, options) {
+        return combineItems(this, names, options);
+    }
+
+    /**
+     * See {@link Store#has}.
+     * @function StoreView#has
+     * @throws {AccessError} Item `name` is not accessible through the view.
+     */
+    has(name, options) {
+        let {store, name: prop, pending} = createViewRead(this, name),
+            source = findSource(store, prop);
+        if (isUndefined(source) || !isViewSource(this, source)) {
+            return false;
+        }
+        return isObject(options) && !!options.inherited || isEmpty(pending) && source === store;
+    }
+
+    /**
+     * See {@link Store#peek}.
+     * @function StoreView#peek
+     * @throws {AccessError} Item `name` is not accessible through the view.
+     */
+    peek(name) {
+        let {store, name: prop} = createViewRead(this, name),
+            source = findSource(store, prop),
+            value = isUndefined(source) || !isViewSource(this, source) ? ABSENT : lookupItem(store, prop);
+        return value === ABSENT ? undefined : value;
+    }
+
+    /**
+     * See {@link Store#watch}. Paths are relative to the view, and changes
+     * to items the view does not allow are not reported.
+     * @function StoreView#watch
+     * @param {String} [pattern='**'] The paths to watch.
+     * @returns {Observable} A stream of {@link Store~ChangeRecord} objects.
+     * @throws {Error} Parameter `name` must be a non-empty string
+     */
+    watch(pattern = '**') {
+        throwIfInvalidName(pattern);
+        let {store, base, rules} = data.get(this);
+        return store.watch(base.map(escapeName).concat(pattern).join('/'))
+            .map(change => Object.assign({}, change, {names: parsePath(change.path).names}))
+            .filter(({names}) => isViewAllowed(rules, names))
+            .map(({type, names, value, oldValue}) =>
+                ({type, path: names.slice(base.length).map(escapeName).join('/'), value, oldValue}));
+    }
+
+    /**
+     * See {@link Store#log$}. Paths are relative to the view. Only
+     * operations in the viewed store and its nested stores are logged,
+     * and changes to items the view does not allow are left out.
+     * @member {Observable} StoreView#log$
+     */
+    get log$() {
+        let {store, base, rules} = data.get(this);
+        return store.log$
+            .map(entry => Object.assign({}, entry, {path: parsePath(entry.path).names}))
+            .filter(({type, path}) => isEqual(path.slice(0, base.length), base) &&
+                (type !== 'set' && type !== 'delete' || isViewAllowed(rules, path)))
+            .map(entry => Object.assign(entry, {path: entry.path.slice(base.length).map(escapeName).join('/')}));
+    }
+
+    /**
+     * Returns the names of the items in the viewed store that the view
+     * allows access to.
+     * @function StoreView#keys
+     * @returns {String[]}
+     */
+    keys() {
+        let {store, base, rules} = data.get(this),
+            {store: target, pending} = findChildStore(store, base);
+        if (!isEmpty(pending)) {
+            return [];
+        }
+        return Array.from(target.keys()).filter(name => isViewAllowed(rules, base.concat(name)));
+    }
+
+    /**
+     * See {@link Store#set}.
+     * @function StoreView#set
+     * @returns {StoreView} The StoreView instance on which `set` was called.
+     * @throws {AccessError} Item `name` is not accessible through the view.
+     * @throws {AccessError} Item `name` is read-only in the view.
+     */
+    set(name, value, options) {
+        data.get(this).store.set(checkViewAccess(this, name, 'write'), value, options);
+        return this;
+    }
+
+    /**
+     * See {@link Store#setAsync}.
+     * @function StoreView#setAsync
+     * @returns {StoreView} The StoreView instance on which `setAsync` was called.
+     * @throws {AccessError} Item `name` is not accessible through the view.
+     * @throws {AccessError} Item `name` is read-only in the view.
+     */
+    setAsync(name, value, options) {
+        data.get(this).store.setAsync(checkViewAccess(this, name, 'write'), value, options);
+        return this;
+    }
+
+    /**
+     * See {@link Store#delete}.
+     * @function StoreView#delete
+     * @throws {AccessError} Item `name` is not accessible through the view.
+     * @throws {AccessError} Item `name` is read-only in the view.
+     */
+    delete(name) {
+        data.get(this).store.delete(checkViewAccess(this, name, 'write'));
+    }
+
+    /**
+     * Removes the items in the viewed store that the view allows access to.
+     * @function StoreView#clear
+     * @throws {AccessError} The view is read-only.
+     */
+    clear() {
+        let {base, rules} = data.get(this);
+        if (rules.some(rule => rule.readonly)) {
+            throw new AccessError('The view is read-only.', base.map(escapeName).join('/'), 'write');
+        }
+        this.keys().forEach(name => this.delete(escapeName(name)));
+    }
+
+}
+
+// DEVTOOLS
+
+function serialize(value) {
+    try {
+        let json = JSON.stringify(value);
+        return isUndefined(json) ? undefined : JSON.parse(json);
+    } catch (error) {
+        return String(value);
+    }
+}
+
+function getStorePath(base, store) {
+    let names = getRelativePath(base, store, []);
+    return isUndefined(names) ? undefined : names.map(escapeName).join('/');
+}
+
+function inspectPath(base, path) {
+    let {store, prop} = findPropData(base, path),
+        source = findSource(store, prop),
+        lineage = getLineage(store);
+    return {
+        type: 'inspection',
+        path,
+        exists: !isUndefined(source),
+        source: source && getStorePath(base, source),
+        lineage: lineage.slice(0, lineage.indexOf(base) + 1).map(current => {
+            let meta = data.get(current),
+                provider = meta.providers.get(prop);
+            return Object.assign(
+                {path: getStorePath(base, current), has: meta.items.has(prop)},
+                meta.items.has(prop) ? {value: serialize(meta.items.get(prop))} : {},
+                provider ? {provider: provider.lifetime} : {}
+            );
+        })
+    };
+}
+
+/**
+ * Records the state of a store tree for an inspector. Returned by
+ * `Store.devtools.attach`. Every operation logged by {@link Store#log$}
+ * is recorded and published as a serializable message that can be sent
+ * to another context. Only the changes made by each operation are kept;
+ * the state at a recorded operation is rebuilt when it is requested.
+ * @class DevtoolsSession
+ * @example
+ * var session = Store.devtools.attach(store);
+ * session.messages$.subscribe(function(message) {
+ *     port.postMessage(message);
+ * });
+ * port.onmessage = function(e) {
+ *     session.send(e.data); // e.g. {type: 'jump', id: 3}
+ * };
+ */
+export class DevtoolsSession {
+
+    constructor(store, options) {
+        let {limit = 100} = options || {};
+        if (!isInteger(limit) || limit < 1) {
+            throw new Error('Option `limit` must be a positive integer.');
+        }
+        let messages = new Subject(),
+            state = {store, limit, messages, paused: false, restoring: false, nextId: 0, records: []};
+        data.set(this, state);
+        addRecord(state, null);
+        state.subscription = store.log$.subscribe(entry => {
+            if (state.paused || state.restoring) {
+                return;
+            }
+            let record = addRecord(state, entry);
+            messages.next({type: 'operation', id: record.id, entry: record.entry});
+        });
+    }
+
+    /**
+     * A stream of serializable messages for the inspector. Each subscriber
+     * first receives a 'state' message describing the recorded history and
+     * the current state, followed by an 'operation' message for each new
+     * operation and a response message for each command sent using
+     * {@link DevtoolsSession#send}. Operation messages do not include the
+     * resulting state; send a `{type: 'state'}` command to receive it.
+     * @member {Observable} DevtoolsSession#messages$
+     */
+    get messages$() {
+        let state = data.get(this);
+        return Observable.defer(() => state.messages.startWith(getStateMessage(state)));
+    }
+
+    /**
+     * Runs an inspector command. Supported commands are:
+     * - `{type: 'jump', id}` restores the state recorded with the given id.
+     * - `{type: 'pause'}` stops recording operations.
+     * - `{type: 'resume'}` records the current state and resumes recording.
+     * - `{type: 'dispatch', entry}` applies a {@link Store~LogEntry}.
+     * - `{type: 'inspect', path}` describes which store provides the
+     *   item's value and the value in each ancestor store.
+     * - `{type: 'state'}` publishes the recorded history.
+     * Errors are published as `{type: 'error', message}` messages.
+     * @function DevtoolsSession#send
+     * @param {Object} command The command to run.
+     */
+    send(command) {
+        let state = data.get(this),
+            {type, id, entry, path} = command || {};
+        try {
+            switch (type) {
+                case 'jump':
+                    jumpTo(state, id);
+                    break;
+                case 'pause':
+                    state.paused = true;
+                    break;
+                case 'resume':
+                    state.paused = false;
+                    addRecord(state, null);
+                    break;
+                case 'dispatch':
+                    applyLogEntry(state.store, entry);
+                    return;
+                case 'inspect':
+                    state.messages.next(inspectPath(state.store, path));
+                    return;
+                case 'state':
+                    break;
+                default:
+                    throw new Error('Unknown devtools command type: ' + type);
+            }
+            state.messages.next(getStateMessage(state));
+        } catch (error) {
+            state.messages.next({type: 'error', message: error.message});
+        }
+    }
+
+    /**
+     * Stops recording the store and completes the message stream.
+     * @function DevtoolsSession#detach
+     */
+    detach() {
+        let state = data.get(this);
+        state.subscription.unsubscribe();
+        state.messages.complete();
+        sessions.delete(this);
+    }
+
+}
+
+function getSnapshotChange(entry) {
+    let {type, path, value} = entry,
+        names = parsePath(path).names;
+    return type === 'set' ? {type, names, value: copyValue(value)} : {type, names};
+}
+
+function getSnapshotNode(snapshot, names, create) {
+    return reduce(names, (node, name) => {
+        if (node && create && !has(node.children, name)) {
+            node.children[name] = {items: {}, children: {}};
+        }
+        return node && node.children[name];
+    }, snapshot);
+}
+
+function applySnapshotChange(snapshot, change) {
+    let {type, names, value} = change,
+        node = getSnapshotNode(snapshot, initial(names), type === 'set' || type === Store.Events.CREATED);
+    switch (type) {
+        case 'set':
+            node.items[last(names)] = value;
+            break;
+        case 'delete':
+            if (node) {
+                delete node.items[last(names)];
+            }
+            break;
+        case 'clear':
+            node = getSnapshotNode(snapshot, names, false);
+            if (node) {
+                node.items = {};
+            }
+            break;
+        case Store.Events.CREATED:
+            getSnapshotNode(snapshot, names, true);
+            break;
+        case Store.Events.DETACHED:
+            if (node) {
+                delete node.children[last(names)];
+            }
+            break;
+    }
+}
+
+function addRecord(state, entry) {
+    let {records, limit, store} = state,
+        current = findIndexById(records, state.current);
+    // recording after a jump discards the states that followed it
+    records.splice(current + 1);
+    // only the first record and records made on resume keep a snapshot;
+    // other states are rebuilt from the changes recorded since then
+    records.push(isNull(entry) ?
+        {id: state.nextId++, entry, snapshot: store.snapshot()} :
+        {id: state.nextId++, entry: serialize(entry), change: getSnapshotChange(entry)});
+    while (records.length > limit) {
+        let [first, next] = records;
+        if (!next.snapshot) {
+            next.snapshot = first.snapshot;
+            applySnapshotChange(next.snapshot, next.change);
+        }
+        records.shift();
+    }
+    state.current = last(records).id;
+    return last(records);
+}
+
+function getRecordState(records, id) {
+    let index = findIndexById(records, id),
+        start = findLastIndex(records, 'snapshot', index),
+        snapshot = copyValue(records[start].snapshot);
+    records.slice(start + 1, index + 1).forEach(record => applySnapshotChange(snapshot, record.change));
+    return snapshot;
+}
+
+function findIndexById(records, id) {
+    return findIndex(records, {id});
+}
+
+function jumpTo(state, id) {
+    let record = state.records[findIndexById(state.records, id)];
+    if (isUndefined(record)) {
+        throw new Error(`Unknown state id: ${id}`);
+    }
+    state.restoring = true;
+    try {
+        state.store.restore(getRecordState(state.records, id));
+    } finally {
+        state.restoring = false;
+    }
+    state.current = id;
+}
+
+function getStateMessage(state) {
+    return {
+        type: 'state',
+        current: state.current,
+        paused: state.paused,
+        state: serialize(getRecordState(state.records, state.current)),
+        entries: state.records.map(({id, entry}) => ({id, entry}))
+    };
+}
+
+const sessions = new Set(),
+      devtools = {
+          attach(store, options) {
+              if (!(store instanceof Store)) {
+                  throw new Error('The argument provided must be a Store instance.');
+              }
+              let session = new DevtoolsSession(store, options);
+              sessions.add(session);
+              return session;
+          },
+          sessions: () => Array.from(sessions)
+      };
+
+// CYCLE DRIVER
+
+function applyCommand(store, command) {
+    let {type, path, value} = command || {};
+    switch (type) {
+        case 'set':
+            store.set(path, value);
+            break;
+        case 'delete':
+            store.delete(path);
+            break;
+        case 'clear':
+            (isUndefined(path) ? store : store.for(path)).clear(!!value);
+            break;
+        default:
+            throw new Error('Unknown store command type: ' + type);
+    }
+}
+
+function createSource(store) {
+    return {
+        get: name => store.get(name),
+        for: name => createSource(store.for(name)),
+        events: name => Observable.merge(
+            ...values(Store.Events).concat(Broker.Events.ERROR)
+                .filter(event => isUndefined(name) || event === name)
+                .map(event => Observable.fromEvent(store, event)
+                    .map(e => Object.assign({type: event}, e)))
+        )
+    };
+}
+
+/**
+ * @typedef StoreSource
+ * @type {Object}
+ * @property {Function} get Returns the {@link Store#get} stream for
+ *  the specified name.
+ * @property {Function} for Returns a StoreSource scoped to the specified
+ *  child store.
+ * @property {Function} events Returns a stream of store events, including
+ *  {@link Broker#error} events. Each event's payload includes a `type`
+ *  property containing the event name. Pass an event name to only receive
+ *  events of that type.
+ */
+
+/**
+ * Creates a cycle.js driver that wraps a {@link Store} instance. The
+ * driver's sink is a stream of commands to run against the store; the
+ * driver's source exposes the read-only portion of the Store API.
+ * Commands that fail (for example, an unknown command type or a value
+ * rejected by the store's schema) do not stop the driver; instead, a
+ * {@link Broker#error} event is fired on the store with the `command`
+ * and `error`. An error sent by the sink is reported the same way.
+ * @function makeStoreDriver
+ * @param {Store} [initialStore] The store the driver should wrap. If
+ *  not provided, a new root Store will be created.
+ * @returns {Function} A cycle.js driver function whose source is
+ *  a {@link StoreSource}.
+ * @throws {Error} The argument provided must be a Store instance.
+ * @example
+ * // commands take the shape {type, path, value}, where type is
+ * // one of 'set', 'delete', or 'clear':
+ * function main({store}) {
+ *     return {
+ *         store: btnSaveClicked$.map(record => ({
+ *             type: 'set',
+ *             path: 'records/activeRecord',
+ *             value: record
+ *         }))
+ *     };
+ * }
+ * run(main, {store: makeStoreDriver()});
+ * @example
+ * // sources mirror the Store API and can be scoped using `for`:
+ * function main({store}) {
+ *     let records = store.for('records');
+ *     records.get('activeRecord').subscribe(render);
+ *     records.events(Store.Events.REMOVED).subscribe(log);
+ *     store.events('error').subscribe(e => log(e.error));
+ * }
+ */
+export function makeStoreDriver(initialStore) {
+    if (!isUndefined(initialStore) && !(initialStore instanceof Store)) {
+        throw new Error('The argument provided must be a Store instance.');
+    }
+    let store = initialStore || new Store();
+    return function storeDriver(sink$) {
+        if (!!sink$ && isFunction(sink$.subscribe)) {
+            Observable.from(sink$).subscribe({
+                next: command => {
+                    try {
+                        applyCommand(store, command);
+                    } catch (error) {
+                        store.emit(Broker.Events.ERROR, {command, error});
+                    }
+                },
+                error: error => store.emit(Broker.Events.ERROR, {error})
+            });
+        }
+        return createSource(store);
+    };
 }
 
 // ALIASES
@@ -2,7 +2,18 @@
 
 var _ = require('lodash');
 var expect = require('chai').expect;
+var Rx = require('rxjs');
+var MessageChannel = require('worker_threads').MessageChannel;
 var Store = require('../index').Store;
+var makeStoreDriver = require('../index').makeStoreDriver;
+var MemoryAdapter = require('../index').MemoryAdapter;
+var WebStorageAdapter = require('../index').WebStorageAdapter;
+var RemoteStore = require('../index').RemoteStore;
+var DevtoolsSession = require('../index').DevtoolsSession;
+var StoreView = require('../index').StoreView;
+var AccessError = require('../index').AccessError;
+var inspect = require('../inspector');
+var PassThrough = require('stream').PassThrough;
 
 var invalidNames = ['', ' ', 123, null, NaN, /rx/, new Date()];
 
@@ -43,30 +54,39 @@ describe('Store', function() {
     describe('fires lifecycle events:', function() {
 
         it('item-set', function(done) {
-            this.store.on('item-set', function(data) {
+            var store = this.store;
+            store.on('item-set', function(data) {
                 expect(data.name).to.equal('key');
+                expect(data.path).to.equal('key');
+                expect(data.store).to.equal(store);
                 expect(data.value).to.equal('value');
                 done();
             });
-            this.store.set('key', 'value');
+            store.set('key', 'value');
         });
 
         it('item-removed', function(done) {
-            this.store.on('item-removed', function(data) {
+            var store = this.store;
+            store.on('item-removed', function(data) {
                 expect(data.name).to.equal('key');
+                expect(data.path).to.equal('key');
+                expect(data.store).to.equal(store);
                 done();
             });
-            this.store.set('key', 123);
-            this.store.delete('key');
+            store.set('key', 123);
+            store.delete('key');
         });
 
         it('store-added', function(done) {
-            this.store.on('store-added', function(data) {
+            var store = this.store;
+            store.on('store-added', function(data) {
                 expect(data.name).to.equal('child');
+                expect(data.path).to.equal('child');
+                expect(data.store).to.equal(store);
                 expect(data.child).to.be.an.instanceof(Store);
                 done();
             });
-            this.store.set('child/key', Date.now());
+            store.set('child/key', Date.now());
         });
 
         it('store-cleared', function(done) {
@@ -112,6 +132,97 @@ describe('Store', function() {
 
     });
 
+    describe('paths', function() {
+
+        it('resolves leading "/" from the root store', function() {
+            var grandchild = this.store.for('child/grandchild');
+            expect(grandchild.for('/child')).to.equal(this.store.for('child'));
+            grandchild.set('/key', 'value');
+            expect(this.store.has('key')).to.equal(true);
+        });
+
+        it('resolves ".." to the parent store', function() {
+            var child = this.store.for('child'),
+                grandchild = child.for('grandchild');
+            expect(grandchild.for('..')).to.equal(child);
+            expect(grandchild.for('../../other')).to.equal(this.store.for('other'));
+            grandchild.set('../key', 'value');
+            expect(child.has('key')).to.equal(true);
+        });
+
+        it('resolves "." to the current store', function() {
+            var child = this.store.for('child');
+            expect(this.store.for('./child/.')).to.equal(child);
+            this.store.set('./child/./key', 'value');
+            expect(child.has('key')).to.equal(true);
+        });
+
+        it('throws if ".." goes above the root store', function() {
+            var store = this.store;
+            expect(function() {
+                store.for('..');
+            }).to.throw('Path does not resolve to a Store.');
+            expect(function() {
+                store.set('child/../../key', 'value');
+            }).to.throw('Path does not resolve to a Store.');
+        });
+
+        it('throws if path does not end with an item name', function() {
+            var store = this.store;
+            ['child/..', '.', '/'].forEach(function(path) {
+                expect(function() {
+                    store.set(path, 'value');
+                }).to.throw('Path does not resolve to an item.');
+            });
+        });
+
+        it('supports escaped slashes in names', function(done) {
+            var store = this.store;
+            store.get('cache/http:\\/\\/example.com\\/api').subscribe(function(value) {
+                expect(value).to.equal('response');
+                expect(store.for('cache').toJSON()).to.eql({
+                    'http://example.com/api': 'response'
+                });
+                expect(store.has('cache/http:\\/\\/example.com\\/api')).to.equal(true);
+                store.delete('cache/http:\\/\\/example.com\\/api');
+                expect(store.for('cache').size).to.equal(0);
+                done();
+            });
+            store.set('cache/http:\\/\\/example.com\\/api', 'response');
+        });
+
+        it('hydrates names containing slashes', function() {
+            this.store.hydrate({'a/b': 1});
+            expect(this.store.toJSON()).to.eql({'a/b': 1});
+            expect(this.store.children()).to.eql([]);
+        });
+
+        it('Store.path.parse returns unescaped names', function() {
+            expect(Store.path.parse('/a/./b\\/c/../d\\\\')).to.eql({
+                absolute: true,
+                names: ['a', '.', 'b/c', '..', 'd\\']
+            });
+            expect(Store.path.parse('a//b/')).to.eql({absolute: false, names: ['a', 'b']});
+        });
+
+        it('Store.path.normalize removes "." and redundant ".."', function() {
+            expect(Store.path.normalize('a/./b/../c')).to.equal('a/c');
+            expect(Store.path.normalize('../a/../..')).to.equal('../..');
+            expect(Store.path.normalize('/../a')).to.equal('/a');
+            expect(Store.path.normalize('a\\/b/c')).to.equal('a\\/b/c');
+        });
+
+        it('Store.path.join joins and normalizes paths', function() {
+            expect(Store.path.join('a', 'b/c', '../d')).to.equal('a/b/d');
+            expect(Store.path.join('a', '/b', 'c')).to.equal('/b/c');
+        });
+
+        it('Store.path.escape escapes slashes and backslashes', function() {
+            expect(Store.path.escape('a/b\\c')).to.equal('a\\/b\\\\c');
+        });
+
+    });
+
     describe('.parent', function() {
 
         it('returns parent Store', function() {
@@ -128,6 +239,65 @@ describe('Store', function() {
             });
         });
 
+        it('blocks every method that changes stores', function() {
+            var parent = this.store.for('child').parent(),
+                channel = new MessageChannel(),
+                calls = {
+                    remove: ['key'],
+                    transaction: [_.noop],
+                    history: [],
+                    sync: [channel.port1],
+                    persist: [new MemoryAdapter()],
+                    hydrate: [{key: 'value'}],
+                    restore: [{items: {key: 'value'}}],
+                    replay: [[{type: 'set', path: 'key', value: 'value'}]],
+                    use: [_.noop],
+                    configure: [{}],
+                    removeChild: ['child'],
+                    dispose: []
+                };
+            _.forOwn(calls, function(args, method) {
+                expect(function() {
+                    parent[method].apply(parent, args);
+                }, method).to.throw('Ancestor Stores are read-only.');
+            });
+            channel.port1.close();
+            expect(this.store.has('key')).to.equal(false);
+            expect(this.store.children()).to.eql(['child']);
+        });
+
+        it('returns readonly nested stores', function() {
+            var parent = this.store.for('child').parent();
+            expect(function() {
+                parent.for('child').set('key', 'value');
+            }).to.throw('Ancestor Stores are read-only.');
+            expect(function() {
+                parent.view().set('key', 'value');
+            }).to.throw(AccessError);
+        });
+
+        it('does not create nested stores', function() {
+            var parent = this.store.for('child').parent(),
+                added = [];
+            this.store.on(Store.Events.CREATED, function(e) {
+                added.push(e.name);
+            });
+            expect(function() {
+                parent.for('other');
+            }).to.throw('Path does not resolve to a Store.');
+            expect(added).to.eql([]);
+            expect(this.store.children()).to.eql(['child']);
+        });
+
+        it('supports reads', function(done) {
+            var parent = this.store.set('key', 'value').for('child').parent();
+            expect(parent.toJSON()).to.eql({key: 'value'});
+            parent.get('key').subscribe(function(value) {
+                expect(value).to.equal('value');
+                done();
+            });
+        });
+
     });
 
     describe('.root', function() {
@@ -241,6 +411,101 @@ describe('Store', function() {
             child.set('key', 2);
         });
 
+        it('gives ancestor value when immediate value deleted', function() {
+            var values = [],
+                child = this.store.for('child');
+            child.get('key').subscribe(function(value) {
+                values.push(value);
+            });
+            this.store.set('key', 'a');
+            child.set('key', 'b');
+            child.delete('key');
+            this.store.set('key', 'c');
+            expect(values).to.eql(['a', 'b', 'a', 'c']);
+        });
+
+        it('gives ancestor value when immediate store cleared', function() {
+            var values = [],
+                child = this.store.for('child');
+            this.store.set('key', 'a');
+            child.set('key', 'b').get('key').subscribe(function(value) {
+                values.push(value);
+            });
+            this.store.clear(true);
+            this.store.set('key', 'c');
+            expect(values).to.eql(['b', 'c']);
+        });
+
+        it('gives nearest ancestor value when immediate value deleted', function() {
+            var values = [],
+                grandchild = this.store.set('key', 'root').for('child/grandchild');
+            this.store.set('child/key', 'child');
+            grandchild.set('key', 'grandchild').get('key').subscribe(function(value) {
+                values.push(value);
+            });
+            grandchild.delete('key');
+            this.store.delete('child/key');
+            expect(values).to.eql(['grandchild', 'child', 'root']);
+        });
+
+        it('does not give value when no value remains', function() {
+            var values = [];
+            this.store.set('key', 'a').get('key').subscribe(function(value) {
+                values.push(value);
+            });
+            this.store.delete('key');
+            expect(values).to.eql(['a']);
+        });
+
+        it('gives absent marker if requested', function() {
+            var values = [],
+                child = this.store.for('child');
+            child.get('key', {absent: true}).subscribe(function(value) {
+                values.push(value);
+            });
+            this.store.set('key', 'a');
+            child.set('key', 'b');
+            this.store.delete('key');
+            child.clear();
+            expect(values).to.eql([Store.ABSENT, 'a', 'b', Store.ABSENT]);
+        });
+
+        it('gives updates for nested paths', function() {
+            var values = [];
+            this.store.get('child/key').subscribe(function(value) {
+                values.push(value);
+            });
+            this.store.set('key', 'a');
+            this.store.set('child/key', 'b');
+            this.store.set('child/key', 'c');
+            this.store.delete('child/key');
+            expect(values).to.eql(['a', 'b', 'c', 'a']);
+        });
+
+        it('does not create nested stores', function() {
+            var added = [];
+            this.store.on(Store.Events.CREATED, function(e) {
+                added.push(e.name);
+            });
+            this.store.get('a/b/key').subscribe(_.noop);
+            this.store.get('c/key', {absent: true}).subscribe(_.noop);
+            expect(added).to.eql([]);
+            expect(this.store.children()).to.eql([]);
+        });
+
+        it('attaches to pending stores once created', function() {
+            var values = [];
+            this.store.set('key', 'a');
+            this.store.get('child/grandchild/key').subscribe(function(value) {
+                values.push(value);
+            });
+            this.store.for('child').set('key', 'b');
+            this.store.for('child/grandchild');
+            this.store.set('child/grandchild/key', 'c');
+            this.store.set('key', 'd');
+            expect(values).to.eql(['a', 'b', 'c']);
+        });
+
         it('subscribers receive immediate value over ancestor value', function(done) {
             this.store.set('key', 'parent')
                 .for('child')
@@ -254,6 +519,70 @@ describe('Store', function() {
 
     });
 
+    describe('.getWithMeta', function() {
+
+        it('throws if name invalid', function() {
+            checkThrow(this.store.getWithMeta);
+        });
+
+        it('gives immediate value info', function(done) {
+            var child = this.store.for('child');
+            this.store.set('child/key', 'value')
+                .getWithMeta('child/key')
+                .subscribe(function(info) {
+                    expect(info).to.eql({
+                        value: 'value',
+                        path: 'child/key',
+                        source: child,
+                        inherited: false
+                    });
+                    done();
+                });
+        });
+
+        it('gives inherited value info with read-only source', function(done) {
+            var store = this.store;
+            store.set('key', 'value')
+                .getWithMeta('child/key')
+                .subscribe(function(info) {
+                    expect(info.value).to.equal('value');
+                    expect(info.inherited).to.equal(true);
+                    expect(Object.getPrototypeOf(info.source)).to.equal(store);
+                    expect(function() {
+                        info.source.set('key', 'other');
+                    }).to.throw('Ancestor Stores are read-only.');
+                    done();
+                });
+        });
+
+        it('follows effective value changes', function() {
+            var infos = [];
+            this.store.getWithMeta('child/key', {absent: true}).subscribe(function(info) {
+                infos.push([info.value, info.inherited]);
+            });
+            this.store.set('key', 'a');
+            this.store.set('child/key', 'b');
+            this.store.clear(true);
+            expect(infos).to.eql([
+                [Store.ABSENT, false],
+                ['a', true],
+                ['b', false],
+                [Store.ABSENT, false]
+            ]);
+        });
+
+        it('reports own value once pending store is created', function() {
+            var infos = [];
+            this.store.set('key', 'a');
+            this.store.getWithMeta('child/key').subscribe(function(info) {
+                infos.push([info.value, info.inherited]);
+            });
+            this.store.set('child/key', 'b');
+            expect(infos).to.eql([['a', true], ['b', false]]);
+        });
+
+    });
+
     describe('.set', function() {
 
         it('returns reference to store for chaining', function() {
@@ -292,6 +621,124 @@ describe('Store', function() {
 
     });
 
+    describe('.setAsync', function() {
+
+        function states(store, name, options) {
+            var result = [];
+            store.get(name, options).subscribe(function(state) {
+                result.push(_.isObject(state) ? _.omitBy(state, _.isUndefined) : state);
+            });
+            return result;
+        }
+
+        it('returns reference to store for chaining', function() {
+            expect(this.store.setAsync('key', Promise.resolve(1))).to.equal(this.store);
+        });
+
+        it('throws if value not a Promise or Observable', function() {
+            var store = this.store;
+            expect(function() {
+                store.setAsync('key', 123);
+            }).to.throw('Async values must be a Promise or Observable.');
+            expect(function() {
+                store.set('key', 123, {async: true});
+            }).to.throw('Async values must be a Promise or Observable.');
+        });
+
+        it('stores raw value unless async specified', function() {
+            var promise = Promise.resolve(1);
+            expect(this.store.set('key', promise).peek('key')).to.equal(promise);
+        });
+
+        it('gives pending and resolved states for promises', function() {
+            var result = states(this.store, 'key');
+            this.store.set('key', Promise.resolve('value'), {async: true});
+            expect(result).to.eql([{status: 'pending'}]);
+            return Promise.resolve().then(function() {
+                expect(result).to.eql([{status: 'pending'}, {status: 'resolved', value: 'value'}]);
+            });
+        });
+
+        it('gives rejected state for failed promises', function() {
+            var error = new Error('failed'),
+                result = states(this.store, 'key');
+            this.store.setAsync('key', Promise.reject(error));
+            return Promise.resolve().then(function() {
+                expect(result).to.eql([{status: 'pending'}, {status: 'rejected', error: error}]);
+            });
+        });
+
+        it('gives resolved state for each observable value', function() {
+            var subject = new Rx.Subject(),
+                result = states(this.store, 'key');
+            this.store.setAsync('key', subject);
+            subject.next(1);
+            subject.next(2);
+            expect(_.map(result, 'value')).to.eql([undefined, 1, 2]);
+        });
+
+        it('flattens to settled values', function() {
+            var subject = new Rx.Subject(),
+                result = states(this.store, 'key', {flatten: true});
+            this.store.set('key', 'plain');
+            this.store.setAsync('key', subject);
+            subject.next('a');
+            subject.error(new Error('failed'));
+            expect(result).to.eql(['plain', 'a']);
+        });
+
+        it('cancels stale pending values', function() {
+            var first = new Rx.Subject(),
+                result = states(this.store, 'key', {flatten: true});
+            this.store.setAsync('key', first);
+            this.store.setAsync('key', Rx.Observable.of('second'));
+            first.next('first');
+            expect(first.observers.length).to.equal(0);
+            expect(result).to.eql(['second']);
+        });
+
+        it('cancels pending values on delete', function() {
+            var subject = new Rx.Subject();
+            this.store.setAsync('key', subject);
+            this.store.delete('key');
+            subject.next('value');
+            expect(this.store.has('key')).to.equal(false);
+        });
+
+        it('rejects results failing schema', function() {
+            var store = this.store.define({key: {type: 'number'}}),
+                result = states(store, 'key');
+            store.setAsync('key', Rx.Observable.of('abc'));
+            expect(result[1].status).to.equal('rejected');
+            expect(result[1].error.message).to.equal('Invalid value for item `key`: expected type number.');
+        });
+
+        it('records results in the step that set the item', function() {
+            var subject = new Rx.Subject(),
+                history = this.store.set('key', 'plain').history(),
+                result = states(this.store, 'key', {flatten: true});
+            this.store.setAsync('key', subject);
+            subject.next('a');
+            subject.next('b');
+            history.undo();
+            expect(this.store.peek('key')).to.equal('plain');
+            history.redo();
+            expect(this.store.peek('key')).to.eql({status: 'resolved', value: 'b', error: undefined});
+            expect(result).to.eql(['plain', 'a', 'b', 'plain', 'b']);
+        });
+
+        it('saves only resolved values', function() {
+            var subject = new Rx.Subject();
+            this.store.setAsync('a', subject)
+                .setAsync('b', Rx.Observable.throw(new Error('failed')))
+                .setAsync('c', new Rx.Subject());
+            subject.next({theme: 'dark'});
+            expect(this.store.toJSON()).to.eql({a: {theme: 'dark'}});
+            expect(this.store.snapshot()).to.eql({items: {a: {theme: 'dark'}}, children: {}});
+        });
+
+    });
+
     describe('has', function() {
 
         it('throws if name invalid', function() {
@@ -316,122 +763,2465 @@ describe('Store', function() {
                 .parent().has('key')).to.equal(false);
         });
 
-    });
+        it('resolves paths', function() {
+            this.store.set('child/key', 'value');
+            expect(this.store.has('child/key')).to.equal(true);
+            expect(this.store.for('other').has('../child/key')).to.equal(true);
+            expect(this.store.has('other/key')).to.equal(false);
+        });
 
-    describe('.delete', function() {
+        it('checks ancestors if inherited specified', function() {
+            this.store.set('key', 'value').set('child/other', 'value');
+            expect(this.store.has('child/key', {inherited: true})).to.equal(true);
+            expect(this.store.has('dne/key', {inherited: true})).to.equal(true);
+            expect(this.store.has('child/dne', {inherited: true})).to.equal(false);
+            expect(this.store.has('other', {inherited: true})).to.equal(false);
+        });
 
-        it('throws if name invalid', function() {
-            checkThrow(this.store.delete);
+        it('does not create nested stores', function() {
+            var added = [];
+            this.store.on(Store.Events.CREATED, function(e) {
+                added.push(e.name);
+            });
+            this.store.has('a/b/key');
+            this.store.has('c/key', {inherited: true});
+            expect(added).to.eql([]);
+            expect(Array.from(this.store.children())).to.eql([]);
         });
 
-        it('throws if path not to a store', function() {
-            var store = this.store.set('child/value', 123);
+        it('throws if path passes through item', function() {
+            var store = this.store.set('key', 'value');
             expect(function() {
-                store.delete('child/value/key');
+                store.has('key/other');
             }).to.throw('Path does not resolve to a Store.');
         });
 
-        it('removes item from immediate store', function() {
-            expect(this.store.set('key', 'value').has('key')).to.equal(true);
-            this.store.delete('key');
-            expect(this.store.has('key')).to.equal(false);
+    });
+
+    describe('.resolve', function() {
+
+        it('throws if name invalid', function() {
+            checkThrow(this.store.resolve);
         });
 
-        it('removes item from child store', function() {
-            this.store.set('child/key', 'value');
-            expect(this.store.for('child').has('key')).to.equal(true);
-            this.store.delete('child/key');
-            expect(this.store.for('child').has('key')).to.equal(false);
+        it('returns undefined if no value', function() {
+            expect(this.store.resolve('dne')).to.be.undefined;
+            expect(this.store.resolve('child/dne')).to.be.undefined;
         });
 
-        it('emits item-removed event', function(done) {
+        it('returns store with own value', function() {
             var child = this.store.for('child').set('key', 'value');
-            this.store.on('item-removed', function() {
-                expect.fail('not called', 'called');
-            });
-            child.on('item-removed', function(e) {
-                expect(e.name).to.equal('key');
-                done();
-            });
-            this.store.delete('child/key');
+            expect(this.store.resolve('child/key')).to.equal(child);
         });
 
-        it('does not emit event if item not in store', function() {
-            this.store.on(Store.Events.REMOVED, function() {
-                expect.fail('not called', 'called');
-            });
-            this.store.delete('dne');
+        it('returns readonly ancestor providing value', function() {
+            this.store.set('key', 'value');
+            var source = this.store.resolve('a/b/key');
+            expect(source).not.to.equal(this.store);
+            expect(source.has('key')).to.equal(true);
+            expect(function() {
+                source.set('key', 'x');
+            }).to.throw('Ancestor Stores are read-only.');
+            expect(Array.from(this.store.children())).to.eql([]);
         });
 
     });
 
-    describe('.clear', function() {
+    describe('.peek', function() {
 
-        it('removes all items in the store', function() {
-            this.store.set('a', 1)
-                .set('b', 2)
-                .set('c', 3);
-            expect(this.store.has('a')).to.equal(true);
-            expect(this.store.has('b')).to.equal(true);
-            expect(this.store.has('c')).to.equal(true);
-            this.store.clear();
-            expect(this.store.has('a')).to.equal(false);
-            expect(this.store.has('b')).to.equal(false);
-            expect(this.store.has('c')).to.equal(false);
+        it('throws if name invalid', function() {
+            checkThrow(this.store.peek);
         });
 
-        it('emits item-removed event for each item', function(done) {
-            var callCount = 0;
-            this.store.for('child').on('item-removed', function(e) {
-                expect(Number(e.name)).to.eql(callCount);
-                if (++callCount >= 3) {
-                    done();
-                }
-            });
-            this.store.on('item-removed', function() {
-                expect.fail('called', 'not called');
-            });
-            this.store.for('child')
-                .set('0', 'abc')
-                .set('1', 'def')
-                .set('2', 'ghi')
-                .clear();
+        it('returns current value', function() {
+            expect(this.store.set('key', 'value').peek('key')).to.equal('value');
         });
 
-        it('emits store-cleared event', function(done) {
-            this.store.on('store-cleared', function() {
-                done();
-            });
-            this.store.clear();
+        it('returns inherited value', function() {
+            this.store.set('key', 'value').set('child/key', 'child');
+            expect(this.store.peek('child/key')).to.equal('child');
+            expect(this.store.peek('child/grandchild/key')).to.equal('child');
+            expect(this.store.peek('other/key')).to.equal('value');
         });
 
-        it('calls clear on all nested stores if nested is truthy', function(done) {
-            var clearCount = 0,
-                callback = function() {
-                    if (++clearCount === 4) {
-                        done();
-                    }
-                },
-                child1 = this.store.for('child1'),
-                child2 = this.store.for('child2'),
-                grandchild = child2.for('grandchild');
-            child1.on('store-cleared', callback);
-            child2.on('store-cleared', callback);
-            grandchild.on('store-cleared', callback);
-            this.store.on('store-cleared', callback);
-            this.store.clear(true);
+        it('returns undefined if no value', function() {
+            expect(this.store.peek('dne')).to.be.undefined;
         });
 
-        it('item added during clear is also cleared', function(done) {
-            var callCount = 0,
-                store = this.store;
-            store.on(Store.Events.REMOVED, function() {
-                if (++callCount === 1) {
-                    store.set('a', 123);
-                }
-            });
-            store.set('b', 456);
-            store.set('c', 789);
+    });
+
+    describe('iteration', function() {
+
+        beforeEach(function addItems() {
+            this.store.set('a', 1).set('b', 2).set('child/c', 3);
+        });
+
+        it('is iterable over [name, value] pairs', function() {
+            var pairs = [];
+            for (var pair of this.store) {
+                pairs.push(pair);
+            }
+            expect(pairs).to.eql([['a', 1], ['b', 2]]);
+        });
+
+        it('.keys returns item names', function() {
+            expect(Array.from(this.store.keys())).to.eql(['a', 'b']);
+        });
+
+        it('.values returns item values', function() {
+            expect(Array.from(this.store.values())).to.eql([1, 2]);
+        });
+
+        it('.entries returns [name, value] pairs', function() {
+            expect(Array.from(this.store.entries())).to.eql([['a', 1], ['b', 2]]);
+        });
+
+        it('.size returns item count', function() {
+            expect(this.store.size).to.equal(2);
+            expect(this.store.for('child').size).to.equal(1);
+        });
+
+        it('.forEach invokes callback for each item', function() {
+            var store = this.store,
+                context = {},
+                calls = [];
+            store.forEach(function(value, name, owner) {
+                expect(this).to.equal(context);
+                expect(owner).to.equal(store);
+                calls.push([name, value]);
+            }, context);
+            expect(calls).to.eql([['a', 1], ['b', 2]]);
+        });
+
+        it('.children returns child store names', function() {
+            this.store.for('other/nested');
+            expect(this.store.children()).to.eql(['child', 'other']);
+            expect(this.store.for('other').children()).to.eql(['nested']);
+        });
+
+        it('works on readonly ancestors', function() {
+            var root = this.store.for('child').root();
+            expect(Array.from(root)).to.eql([['a', 1], ['b', 2]]);
+            expect(root.size).to.equal(2);
+            expect(root.children()).to.eql(['child']);
+        });
+
+    });
+
+    describe('.history', function() {
+
+        beforeEach(function createHistory() {
+            this.history = this.store.history();
+        });
+
+        it('undoes and redoes set', function() {
+            this.store.set('key', 1).set('key', 2);
+            this.history.undo();
+            expect(this.store.toJSON()).to.eql({key: 1});
+            this.history.undo();
+            expect(this.store.has('key')).to.equal(false);
+            this.history.redo().redo();
+            expect(this.store.toJSON()).to.eql({key: 2});
+        });
+
+        it('undoes and redoes delete', function() {
+            this.store.set('key', 1).delete('key');
+            this.history.undo();
+            expect(this.store.toJSON()).to.eql({key: 1});
+            this.history.redo();
+            expect(this.store.has('key')).to.equal(false);
+        });
+
+        it('undoes and redoes items with escaped names', function() {
+            var key = Store.path.escape('http://x/y');
+            this.store.set(key, 1).set(key, 2).delete(key);
+            this.history.undo().undo();
+            expect(this.store.toJSON()).to.eql({'http://x/y': 1});
+            this.history.redo().redo();
+            expect(this.store.has(key)).to.equal(false);
+            expect(this.store.children()).to.eql([]);
+        });
+
+        it('undoes clear as a single step', function() {
+            this.store.set('a', 1).set('b', 2).clear();
+            this.history.undo();
+            expect(this.store.toJSON()).to.eql({a: 1, b: 2});
+        });
+
+        it('undoes transaction as a single step', function() {
+            this.store.set('a', 1).transaction(function(tx) {
+                tx.set('a', 2).set('b', 3);
+            });
+            this.history.undo();
+            expect(this.store.toJSON()).to.eql({a: 1});
+        });
+
+        it('fires normal events when undoing', function(done) {
+            this.store.set('key', 1).set('key', 2);
+            this.store.on(Store.Events.SET, function(e) {
+                expect(e.value).to.equal(1);
+                done();
+            });
+            this.history.undo();
+        });
+
+        it('ignores nested stores by default', function() {
+            this.store.set('key', 1).set('child/key', 2);
+            this.history.undo();
+            expect(this.store.toJSON({nested: true})).to.eql({child: {key: 2}});
+        });
+
+        it('records nested stores if nested is truthy', function() {
+            var history = this.store.history({nested: true});
+            this.store.set('key', 1).set('child/key', 2);
+            this.store.clear(true);
+            history.undo();
+            expect(this.store.toJSON({nested: true})).to.eql({key: 1, child: {key: 2}});
+            history.undo();
+            expect(this.store.toJSON({nested: true})).to.eql({key: 1, child: {}});
+        });
+
+        it('discards redo steps after a new change', function() {
+            this.store.set('key', 1).set('key', 2);
+            this.history.undo();
+            this.store.set('key', 3);
+            this.history.redo();
+            expect(this.store.toJSON()).to.eql({key: 3});
+        });
+
+        it('only remembers limit steps', function() {
+            var history = this.store.history({limit: 2});
+            this.store.set('key', 1).set('key', 2).set('key', 3);
+            history.undo().undo().undo();
+            expect(this.store.toJSON()).to.eql({key: 1});
+        });
+
+        it('undoes and redoes to checkpoints', function() {
+            var history = this.history;
+            this.store.set('key', 1);
+            history.checkpoint('first');
+            this.store.set('key', 2).set('key', 3);
+            history.checkpoint('second');
+            this.store.set('key', 4);
+            history.undo('first');
+            expect(this.store.toJSON()).to.eql({key: 1});
+            history.redo('second');
+            expect(this.store.toJSON()).to.eql({key: 3});
+            history.redo();
+            expect(this.store.toJSON()).to.eql({key: 4});
+        });
+
+        it('throws if checkpoint does not exist', function() {
+            var history = this.history;
+            expect(function() {
+                history.undo('dne');
+            }).to.throw('Checkpoint `dne` does not exist.');
+        });
+
+        it('canUndo$ and canRedo$ stream availability', function() {
+            var undo = [],
+                redo = [];
+            this.history.canUndo$.subscribe(function(value) {
+                undo.push(value);
+            });
+            this.history.canRedo$.subscribe(function(value) {
+                redo.push(value);
+            });
+            this.store.set('key', 1);
+            this.history.undo();
+            this.history.redo();
+            expect(undo).to.eql([false, true, false, true]);
+            expect(redo).to.eql([false, true, false]);
+        });
+
+        it('stops recording when disposed', function() {
+            var completed = false;
+            this.history.canUndo$.subscribe(_.noop, _.noop, function() {
+                completed = true;
+            });
+            this.history.dispose();
+            this.store.set('key', 1);
+            this.history.undo();
+            expect(completed).to.equal(true);
+            expect(this.store.toJSON()).to.eql({key: 1});
+        });
+
+    });
+
+    describe('.transaction', function() {
+
+        it('returns reference to store for chaining', function() {
+            expect(this.store.transaction(_.noop)).to.equal(this.store);
+        });
+
+        it('throws if name invalid', function() {
+            var store = this.store;
+            checkThrow(function(name) {
+                store.transaction(function(tx) {
+                    tx.set(name, 'value');
+                });
+            });
+        });
+
+        it('applies staged changes after callback returns', function() {
+            var store = this.store.set('c', 3);
+            store.transaction(function(tx) {
+                tx.set('a', 1).set('child/b', 2).delete('c');
+                expect(store.has('a')).to.equal(false);
+                expect(store.has('c')).to.equal(true);
+            });
+            expect(store.toJSON({nested: true})).to.eql({a: 1, child: {b: 2}});
+        });
+
+        it('subscribers see no intermediate values', function() {
+            var values = [];
+            this.store.set('key', 0).get('key').subscribe(function(value) {
+                values.push(value);
+            });
+            this.store.transaction(function(tx) {
+                tx.set('key', 1).set('key', 2).set('key', 3);
+            });
+            expect(values).to.eql([0, 3]);
+        });
+
+        it('all values are applied before events fire', function() {
+            var store = this.store;
+            store.on(Store.Events.SET, function() {
+                expect(store.toJSON()).to.eql({a: 1, b: 2});
+            });
+            store.transaction(function(tx) {
+                tx.set('a', 1).set('b', 2);
+            });
+        });
+
+        it('emits single store-batch event with changed paths', function() {
+            var batches = [];
+            this.store.set('c', 3).on(Store.Events.BATCH, function(e) {
+                batches.push(e.paths);
+            });
+            this.store.transaction(function(tx) {
+                tx.set('a', 1).set('child/b', 2).delete('c').delete('dne');
+            });
+            expect(batches).to.eql([['a', 'child/b', 'c']]);
+        });
+
+        it('does not emit store-batch event if nothing changed', function() {
+            this.store.on(Store.Events.BATCH, function() {
+                expect.fail('not called', 'called');
+            });
+            this.store.transaction(function(tx) {
+                tx.delete('dne');
+            });
+        });
+
+        it('rolls back changes if callback throws', function() {
+            var store = this.store.set('a', 1);
+            store.on(Store.Events.SET, function() {
+                expect.fail('not called', 'called');
+            });
+            expect(function() {
+                store.transaction(function(tx) {
+                    tx.set('a', 2).set('b', 3);
+                    throw new Error('failed');
+                });
+            }).to.throw('failed');
+            expect(store.toJSON()).to.eql({a: 1});
+        });
+
+        it('rolls back changes if path not to a store', function() {
+            var store = this.store.set('child', 1);
+            expect(function() {
+                store.transaction(function(tx) {
+                    tx.set('a', 2).set('child/b', 3);
+                });
+            }).to.throw('Path does not resolve to a Store.');
+            expect(store.has('a')).to.equal(false);
+        });
+
+        it('removes stores created for a failed transaction', function() {
+            var store = this.store.set('x', 1);
+            store.for('existing');
+            expect(function() {
+                store.transaction(function(tx) {
+                    tx.set('new/a', 1).set('existing/child/b', 2).set('x/b', 3);
+                });
+            }).to.throw('Path does not resolve to a Store.');
+            expect(store.children()).to.eql(['existing']);
+            expect(store.for('existing').children()).to.eql([]);
+        });
+
+        it('does not create stores to delete items', function() {
+            var added = [];
+            this.store.on(Store.Events.CREATED, function(e) {
+                added.push(e.name);
+            });
+            this.store.transaction(function(tx) {
+                tx.delete('a/b/c').set('d', 1);
+            });
+            expect(added).to.eql([]);
+            expect(this.store.children()).to.eql([]);
+            expect(this.store.toJSON()).to.eql({d: 1});
+        });
+
+        it('sends getAll subscribers one array per transaction', function() {
+            var values = [],
+                store = this.store.set('a', 0).set('b', 0);
+            store.getAll(['a', 'b']).subscribe(function(value) {
+                values.push(value.join());
+            });
+            store.transaction(function(tx) {
+                tx.set('a', 1).set('b', 1);
+            });
+            expect(values).to.eql(['0,0', '1,1']);
+        });
+
+    });
+
+    describe('.getAll', function() {
+
+        it('throws if names invalid', function() {
+            var store = this.store;
+            expect(function() {
+                store.getAll('a');
+            }).to.throw('Parameter `names` must be an array.');
+            expect(function() {
+                store.getAll(['a', ' ']);
+            }).to.throw('Parameter `name` must be a non-empty string');
+        });
+
+        it('sends values once every item has a value', function() {
+            var values = [];
+            this.store.set('a', 1).getAll(['a', 'child/b']).subscribe(function(value) {
+                values.push(value);
+            });
+            this.store.set('child/b', 2).set('a', 3);
+            expect(values).to.eql([[1, 2], [3, 2]]);
+        });
+
+        it('sends empty array if no names given', function() {
+            var values = [];
+            this.store.getAll([]).subscribe(function(value) {
+                values.push(value);
+            });
+            expect(values).to.eql([[]]);
+        });
+
+        it('passes options to get', function() {
+            var values = [];
+            this.store.getAll(['a'], {absent: true}).subscribe(function(value) {
+                values.push(value);
+            });
+            expect(values).to.eql([[Store.ABSENT]]);
+        });
+
+        it('includes computed values changed by a transaction', function() {
+            var values = [],
+                store = this.store.set('a', 1).set('b', 2);
+            store.compute('sum', ['a', 'b'], function(a, b) {
+                return a + b;
+            });
+            store.getAll(['a', 'sum']).subscribe(function(value) {
+                values.push(value.join());
+            });
+            store.transaction(function(tx) {
+                tx.set('a', 2).set('b', 3);
+            });
+            expect(values).to.eql(['1,3', '2,5']);
+        });
+
+    });
+
+    describe('.toJSON', function() {
+
+        beforeEach(function addItems() {
+            this.store.set('a', 1).set('child/b', 2).set('child/grandchild/c', 3);
+        });
+
+        it('returns items in the store', function() {
+            expect(this.store.toJSON()).to.eql({a: 1});
+        });
+
+        it('returns nested stores if nested is truthy', function() {
+            expect(this.store.toJSON({nested: true})).to.eql({
+                a: 1,
+                child: {b: 2, grandchild: {c: 3}}
+            });
+        });
+
+        it('is used by JSON.stringify', function() {
+            expect(JSON.stringify(this.store)).to.equal('{"a":1}');
+        });
+
+        it('throws if name is both an item and a store', function() {
+            var store = this.store.set('child', 'value');
+            expect(function() {
+                store.toJSON({nested: true});
+            }).to.throw('Name `child` refers to both an item and a Store.');
+        });
+
+    });
+
+    describe('.hydrate', function() {
+
+        it('returns reference to store for chaining', function() {
+            expect(this.store.hydrate({})).to.equal(this.store);
+        });
+
+        it('sets plain objects as items by default', function() {
+            this.store.hydrate({a: 1, b: {c: 2}});
+            expect(this.store.toJSON()).to.eql({a: 1, b: {c: 2}});
+            expect(this.store.children()).to.eql([]);
+        });
+
+        it('creates child stores if nested is truthy', function() {
+            var snapshot = {a: 1, child: {b: 2, grandchild: {c: 3}}};
+            this.store.hydrate(snapshot, {nested: true});
+            expect(this.store.for('child/grandchild').has('c')).to.equal(true);
+            expect(this.store.toJSON({nested: true})).to.eql(snapshot);
+        });
+
+        it('fires item-set and store-added events', function() {
+            var events = [];
+            this.store.on(Store.Events.SET, function(e) {
+                events.push(e.name);
+            });
+            this.store.on(Store.Events.CREATED, function(e) {
+                events.push(e.name);
+            });
+            this.store.hydrate({a: 1, child: {}}, {nested: true});
+            expect(events).to.eql(['a', 'child']);
+        });
+
+        it('throws without changes if path not to a store', function() {
+            var store = this.store.set('child', 123);
+            expect(function() {
+                store.hydrate({a: 1, child: {b: 2}}, {nested: true});
+            }).to.throw('Path does not resolve to a Store.');
+            expect(store.has('a')).to.equal(false);
+        });
+
+        it('throws without changes if item name is a store', function() {
+            var store = this.store;
+            store.for('child');
+            expect(function() {
+                store.hydrate({a: 1, child: 2});
+            }).to.throw('Name `child` refers to both an item and a Store.');
+            expect(store.has('a')).to.equal(false);
+        });
+
+        it('throws if name invalid', function() {
+            var store = this.store;
+            expect(function() {
+                store.hydrate({' ': 1});
+            }).to.throw('Parameter `name` must be a non-empty string');
+        });
+
+    });
+
+    describe('fromJSON', function() {
+
+        it('creates a new root store', function() {
+            var store = Store.fromJSON({a: 1});
+            expect(store).to.be.an.instanceof(Store);
+            expect(store.parent()).to.be.undefined;
+            expect(store.has('a')).to.equal(true);
+        });
+
+        it('creates nested stores by default', function() {
+            var snapshot = {a: 1, child: {b: 2}};
+            expect(Store.fromJSON(snapshot).toJSON({nested: true})).to.eql(snapshot);
+        });
+
+        it('sets plain objects as items if nested is false', function() {
+            var store = Store.fromJSON({child: {b: 2}}, {nested: false});
+            expect(store.toJSON()).to.eql({child: {b: 2}});
+        });
+
+    });
+
+    describe('fromSnapshot', function() {
+
+        it('creates a new root store', function() {
+            var store = Store.fromSnapshot({items: {a: 1}});
+            expect(store).to.be.an.instanceof(Store);
+            expect(store.parent()).to.be.undefined;
+            expect(store.peek('a')).to.equal(1);
+        });
+
+        it('keeps plain object items apart from nested stores', function() {
+            var json = JSON.stringify(this.store
+                    .set('prefs', {theme: 'dark'})
+                    .set('child/key', {a: 1})
+                    .snapshot()),
+                copy = Store.fromSnapshot(JSON.parse(json));
+            expect(copy.peek('prefs')).to.eql({theme: 'dark'});
+            expect(copy.peek('child/key')).to.eql({a: 1});
+            expect(copy.children()).to.eql(['child']);
+            expect(copy.snapshot()).to.eql(this.store.snapshot());
+        });
+
+        it('throws if snapshot invalid', function() {
+            expect(function() {
+                Store.fromSnapshot({items: 1});
+            }).to.throw('Parameter `snapshot` must be a store snapshot.');
+        });
+
+    });
+
+    describe('.persist', function() {
+
+        it('throws if adapter invalid', function() {
+            var store = this.store;
+            [undefined, {}, {load: _.noop}].forEach(function(adapter) {
+                expect(function() {
+                    store.persist(adapter);
+                }).to.throw('Parameter `adapter` must implement `load` and `save`.');
+            });
+        });
+
+        it('loads saved values into the store', function() {
+            var store = this.store,
+                adapter = new MemoryAdapter({
+                    items: {a: 1},
+                    children: {child: {items: {b: 2}, children: {}}}
+                });
+            return store.persist(adapter).then(function() {
+                expect(store.toJSON({nested: true})).to.eql({a: 1, child: {b: 2}});
+            });
+        });
+
+        it('keeps existing items missing from saved values', function() {
+            var store = this.store.set('a', 1).set('b', 2),
+                adapter = new MemoryAdapter({items: {a: 3}});
+            return store.persist(adapter).then(function() {
+                expect(store.toJSON()).to.eql({a: 3, b: 2});
+            });
+        });
+
+        it('reloads plain object values as items', function() {
+            var store = this.store,
+                adapter = new MemoryAdapter();
+            return store.persist(adapter).then(function() {
+                store.set('prefs', {theme: 'dark'});
+            }).then(function() {
+                var reloaded = new Store();
+                return reloaded.persist(adapter).then(function() {
+                    expect(reloaded.peek('prefs')).to.eql({theme: 'dark'});
+                    expect(reloaded.children()).to.eql([]);
+                });
+            });
+        });
+
+        it('saves changes in the store and nested stores', function() {
+            var store = this.store,
+                adapter = new MemoryAdapter();
+            return store.persist(adapter).then(function() {
+                store.set('a', 1).set('child/b', 2).set('child/c', 3);
+                store.delete('child/c');
+                store.for('other').set('d', 4).clear();
+                return Promise.resolve();
+            }).then(function() {
+                return adapter.load();
+            }).then(function(snapshot) {
+                expect(snapshot).to.eql({
+                    items: {a: 1},
+                    children: {
+                        child: {items: {b: 2}, children: {}},
+                        other: {items: {}, children: {}}
+                    }
+                });
+            });
+        });
+
+        it('only loads and saves the specified keys', function() {
+            var store = this.store,
+                adapter = new MemoryAdapter({
+                    items: {a: 1, b: 2},
+                    children: {child: {items: {c: 3, d: 4}, children: {}}}
+                });
+            return store.persist(adapter, {keys: ['a', 'child/c', 'other/e']}).then(function() {
+                expect(store.toJSON({nested: true})).to.eql({a: 1, child: {c: 3}});
+                store.set('b', 5).set('a', 6);
+            }).then(function() {
+                return adapter.load();
+            }).then(function(snapshot) {
+                expect(snapshot).to.eql({
+                    items: {a: 6},
+                    children: {child: {items: {c: 3}, children: {}}}
+                });
+            });
+        });
+
+        it('debounces saves', function(done) {
+            var store = this.store,
+                saves = [],
+                adapter = {
+                    load: _.constant(Promise.resolve()),
+                    save: function(snapshot) {
+                        saves.push(snapshot);
+                    }
+                };
+            store.persist(adapter, {debounce: 10}).then(function() {
+                store.set('a', 1).set('a', 2).set('a', 3);
+                setTimeout(function() {
+                    expect(saves).to.eql([{items: {a: 3}, children: {}}]);
+                    done();
+                }, 30);
+            });
+        });
+
+        it('saves one snapshot at a time', function(done) {
+            var store = this.store,
+                delays = [20, 0],
+                snapshots = [],
+                active = 0,
+                overlapped = false,
+                saved,
+                adapter = {
+                    load: _.noop,
+                    save: function(snapshot) {
+                        overlapped = overlapped || active > 0;
+                        active++;
+                        snapshots.push(snapshot);
+                        return new Promise(function(resolve) {
+                            setTimeout(function() {
+                                active--;
+                                saved = snapshot;
+                                resolve();
+                            }, delays.shift());
+                        });
+                    }
+                };
+            store.persist(adapter).then(function() {
+                store.set('a', 1);
+                setTimeout(function() {
+                    store.set('b', 2).set('c', 3).clear();
+                }, 5);
+                setTimeout(function() {
+                    expect(overlapped).to.equal(false);
+                    expect(snapshots.length).to.equal(2);
+                    expect(saved).to.eql({items: {}, children: {}});
+                    done();
+                }, 50);
+            });
+        });
+
+        it('stops saving when stop function invoked', function() {
+            var store = this.store,
+                adapter = new MemoryAdapter();
+            return store.persist(adapter).then(function(stop) {
+                store.set('a', 1);
+                stop();
+                store.set('b', 2).set('child/c', 3);
+            }).then(function() {
+                return adapter.load();
+            }).then(function(snapshot) {
+                expect(snapshot).to.eql({items: {a: 1}, children: {}});
+            });
+        });
+
+        it('emits error event if save fails', function(done) {
+            var store = this.store,
+                failure = new Error('failed'),
+                adapter = {
+                    load: _.noop,
+                    save: function() {
+                        throw failure;
+                    }
+                };
+            store.on('error', function(e) {
+                expect(e.error).to.equal(failure);
+                done();
+            });
+            store.persist(adapter).then(function() {
+                store.set('a', 1);
+            });
+        });
+
+    });
+
+    describe('.sync', function() {
+
+        // resolves once every message posted before it has been handled
+        function delivered(sender, receiver) {
+            return new Promise(function(resolve) {
+                receiver.addEventListener('message', function listener(e) {
+                    if (e.data === 'delivered') {
+                        receiver.removeEventListener('message', listener);
+                        resolve();
+                    }
+                });
+                sender.postMessage('delivered');
+            });
+        }
+
+        beforeEach(function createChannel() {
+            var channel = new MessageChannel(),
+                port1 = this.port1 = channel.port1,
+                port2 = this.port2 = channel.port2;
+            this.other = new Store();
+            this.delivered = function() {
+                return Promise.all([delivered(port1, port2), delivered(port2, port1)]);
+            };
+        });
+
+        afterEach(function closeChannel() {
+            this.port1.close();
+            this.port2.close();
+        });
+
+        it('throws if channel invalid', function() {
+            var store = this.store;
+            expect(function() {
+                store.sync({});
+            }).to.throw('Parameter `channel` must implement `postMessage`.');
+        });
+
+        it('mirrors set, delete and clear', function() {
+            var store = this.store,
+                other = this.other,
+                delivered = this.delivered;
+            store.sync(this.port1);
+            other.sync(this.port2);
+            store.set('a', 1).set('child/b', {c: 2}).set('child/d', 3);
+            other.set('e', 4);
+            return delivered().then(function() {
+                expect(other.toJSON({nested: true})).to.eql({a: 1, e: 4, child: {b: {c: 2}, d: 3}});
+                expect(store.toJSON({nested: true})).to.eql({a: 1, e: 4, child: {b: {c: 2}, d: 3}});
+                store.delete('a');
+                other.for('child').clear();
+                return delivered();
+            }).then(function() {
+                expect(other.toJSON({nested: true})).to.eql({e: 4, child: {}});
+                expect(store.toJSON({nested: true})).to.eql({e: 4, child: {}});
+            });
+        });
+
+        it('does not echo updates back to origin', function() {
+            var posted = 0,
+                other = this.other,
+                post = this.port2.postMessage.bind(this.port2);
+            this.port2.postMessage = function(message) {
+                posted++;
+                post(message);
+            };
+            this.store.sync(this.port1);
+            other.sync(this.port2);
+            this.store.set('key', 'value');
+            return delivered(this.port1, this.port2).then(function() {
+                expect(other.peek('key')).to.equal('value');
+                expect(posted).to.equal(0);
+            });
+        });
+
+        it('ignores updates for unsynced paths', function() {
+            var store = this.store,
+                other = this.other;
+            store.sync(this.port1, {paths: ['shared/**']});
+            other.sync(this.port2);
+            store.set('shared/key', 1).set('local', 2);
+            other.set('remote', 3);
+            return this.delivered().then(function() {
+                expect(other.toJSON({nested: true})).to.eql({shared: {key: 1}, remote: 3});
+                expect(store.has('remote')).to.equal(false);
+            });
+        });
+
+        it('keeps most recent conflicting update by default', function() {
+            var store = this.store,
+                other = this.other,
+                scheduler = new Rx.VirtualTimeScheduler();
+            store.configure({scheduler: scheduler}).sync(this.port1);
+            other.configure({scheduler: scheduler}).sync(this.port2);
+            store.set('key', 'first');
+            scheduler.schedule(function() {
+                other.set('key', 'second');
+            }, 5);
+            scheduler.flush();
+            return this.delivered().then(function() {
+                expect(store.peek('key')).to.equal('second');
+                expect(other.peek('key')).to.equal('second');
+            });
+        });
+
+        it('breaks ties between simultaneous updates by origin', function() {
+            var store = this.store,
+                other = this.other,
+                scheduler = new Rx.VirtualTimeScheduler();
+            store.configure({scheduler: scheduler}).sync(this.port1, {origin: 'b'});
+            other.configure({scheduler: scheduler}).sync(this.port2, {origin: 'a'});
+            store.set('key', 'from b');
+            other.set('key', 'from a');
+            return this.delivered().then(function() {
+                expect(store.peek('key')).to.equal('from b');
+                expect(other.peek('key')).to.equal('from b');
+            });
+        });
+
+        it('resolves conflicts using custom function', function() {
+            var conflicts = [],
+                store = this.store,
+                other = this.other,
+                keepLocal = function(local, remote) {
+                    conflicts.push([local.value, remote.value]);
+                    return local;
+                };
+            store.sync(this.port1, {resolve: keepLocal});
+            other.sync(this.port2, {resolve: keepLocal});
+            store.set('key', 'a');
+            other.set('key', 'b');
+            return this.delivered().then(function() {
+                expect(conflicts).to.eql([['a', 'b'], ['b', 'a']]);
+                expect(store.peek('key')).to.equal('a');
+                expect(other.peek('key')).to.equal('b');
+            });
+        });
+
+        it('stops synchronizing', function() {
+            var store = this.store,
+                other = this.other,
+                stop = store.sync(this.port1);
+            other.sync(this.port2);
+            stop();
+            store.set('a', 1);
+            other.set('b', 2);
+            return this.delivered().then(function() {
+                expect(other.has('a')).to.equal(false);
+                expect(store.has('b')).to.equal(false);
+            });
+        });
+
+    });
+
+    describe('.compute', function() {
+
+        function fullName(first, last) {
+            return first + ' ' + last;
+        }
+
+        it('returns reference to store for chaining', function() {
+            expect(this.store.compute('key', [], _.noop)).to.equal(this.store);
+        });
+
+        it('throws if name invalid', function() {
+            var store = this.store;
+            checkThrow(function(name) {
+                store.compute(name, [], _.noop);
+            });
+            checkThrow(function(name) {
+                store.compute('key', [name], _.noop);
+            });
+        });
+
+        it('throws if dependencies or callback invalid', function() {
+            var store = this.store;
+            expect(function() {
+                store.compute('key', 'dep', _.noop);
+            }).to.throw('Parameter `dependencies` must be an array.');
+            expect(function() {
+                store.compute('key', ['dep']);
+            }).to.throw('Parameter `callback` must be a function.');
+        });
+
+        it('throws if item already exists', function() {
+            var store = this.store.set('key', 1);
+            expect(function() {
+                store.compute('key', [], _.noop);
+            }).to.throw('Item `key` already exists.');
+        });
+
+        it('calculates value from dependencies', function() {
+            var values = [];
+            this.store.compute('fullName', ['first', 'last'], fullName)
+                .get('fullName').subscribe(function(value) {
+                    values.push(value);
+                });
+            expect(this.store.has('fullName')).to.equal(false);
+            this.store.set('first', 'Jane').set('last', 'Doe');
+            expect(this.store.has('fullName')).to.equal(true);
+            this.store.set('first', 'John');
+            expect(values).to.eql(['Jane Doe', 'John Doe']);
+        });
+
+        it('uses inherited dependency values', function() {
+            var child = this.store.for('child');
+            this.store.set('last', 'Doe');
+            child.compute('fullName', ['first', 'last'], fullName).set('first', 'Jane');
+            expect(Array.from(child)).to.eql([['first', 'Jane'], ['fullName', 'Jane Doe']]);
+        });
+
+        it('resolves nested dependencies relative to computed item', function() {
+            this.store.compute('user/fullName', ['name/first', 'name/last'], fullName);
+            this.store.set('user/name/first', 'Jane').set('user/name/last', 'Doe');
+            this.store.set('user/name/last', 'Roe');
+            expect(Array.from(this.store.for('user').values())).to.eql(['Jane Roe']);
+        });
+
+        it('computes value immediately if no dependencies', function() {
+            this.store.compute('key', [], _.constant(123));
+            expect(Array.from(this.store.values())).to.eql([123]);
+        });
+
+        it('is read-only', function() {
+            var store = this.store.compute('key', [], _.constant(123));
+            expect(function() {
+                store.set('key', 'value');
+            }).to.throw('Item `key` is computed and cannot be changed.');
+            expect(function() {
+                store.delete('key');
+            }).to.throw('Item `key` is computed and cannot be changed.');
+            expect(function() {
+                store.transaction(function(tx) {
+                    tx.set('key', 'value');
+                });
+            }).to.throw('Item `key` is computed and cannot be changed.');
+        });
+
+        it('is not removed by clear', function() {
+            this.store.set('a', 1).compute('key', ['a'], _.identity).clear();
+            expect(Array.from(this.store)).to.eql([['key', 1]]);
+        });
+
+        it('is not included in toJSON', function() {
+            this.store.set('a', 1).compute('key', ['a'], _.identity);
+            expect(this.store.toJSON()).to.eql({a: 1});
+        });
+
+        it('replaces previous definition', function() {
+            this.store.set('a', 1).set('b', 2)
+                .compute('key', ['a'], _.identity)
+                .compute('key', ['b'], _.identity)
+                .set('a', 3);
+            expect(this.store.toJSON()).to.eql({a: 3, b: 2});
+            expect(Array.from(this.store.values())).to.eql([3, 2, 2]);
+        });
+
+        it('throws if dependencies are circular', function() {
+            var store = this.store.compute('a', ['b'], _.identity)
+                .compute('b', ['child/c'], _.identity);
+            expect(function() {
+                store.compute('child/c', ['a'], _.identity);
+            }).to.throw('Computed item `c` has a circular dependency.');
+            expect(function() {
+                store.compute('c', ['c'], _.identity);
+            }).to.throw('Computed item `c` has a circular dependency.');
+        });
+
+        it('emits error event if callback throws', function(done) {
+            var failure = new Error('failed');
+            this.store.on('error', function(e) {
+                expect(e.name).to.equal('key');
+                expect(e.error).to.equal(failure);
+                done();
+            });
+            this.store.compute('key', [], function() {
+                throw failure;
+            });
+        });
+
+    });
+
+    describe('.register', function() {
+
+        function counter() {
+            var count = 0;
+            return function create() {
+                return {id: ++count};
+            };
+        }
+
+        it('returns reference to store for chaining', function() {
+            expect(this.store.register('key', _.noop)).to.equal(this.store);
+        });
+
+        it('throws if name invalid', function() {
+            var store = this.store;
+            checkThrow(function(name) {
+                store.register(name, _.noop);
+            });
+            checkThrow(function(name) {
+                store.register('key', _.noop, {deps: [name]});
+            });
+        });
+
+        it('throws if factory or options invalid', function() {
+            var store = this.store;
+            expect(function() {
+                store.register('key');
+            }).to.throw('Parameter `factory` must be a function.');
+            expect(function() {
+                store.register('key', _.noop, {lifetime: 'forever'});
+            }).to.throw('Parameter `lifetime` must be one of: singleton, transient, scoped.');
+            expect(function() {
+                store.register('key', _.noop, {deps: 'dep'});
+            }).to.throw('Parameter `deps` must be an array.');
+        });
+
+        it('fires registered event', function() {
+            var events = [];
+            this.store.on(Store.Events.REGISTERED, function(e) {
+                events.push([e.name, e.lifetime]);
+            });
+            this.store.register('key', _.noop, {lifetime: 'transient'});
+            expect(events).to.eql([['key', 'transient']]);
+        });
+
+        it('creates value lazily', function() {
+            var calls = 0;
+            this.store.register('key', function() {
+                return ++calls;
+            });
+            expect(calls).to.equal(0);
+            expect(this.store.has('key')).to.equal(true);
+            expect(this.store.peek('key')).to.equal(1);
+        });
+
+        it('shares singleton values with nested stores', function() {
+            var values = [];
+            this.store.register('key', counter());
+            this.store.get('key').subscribe(function(value) {
+                values.push(value);
+            });
+            this.store.for('child').get('key').subscribe(function(value) {
+                values.push(value);
+            });
+            expect(values).to.eql([{id: 1}, {id: 1}]);
+            expect(values[0]).to.equal(values[1]);
+        });
+
+        it('creates scoped values per requesting store', function() {
+            var child = this.store.register('key', counter(), {lifetime: 'scoped'}).for('child');
+            expect(this.store.peek('key')).to.eql({id: 1});
+            expect(child.peek('key')).to.eql({id: 2});
+            expect(child.peek('key')).to.equal(child.peek('key'));
+        });
+
+        it('creates transient values per request', function() {
+            this.store.register('key', counter(), {lifetime: 'transient'});
+            expect(this.store.peek('key')).to.eql({id: 1});
+            expect(this.store.peek('key')).to.eql({id: 2});
+        });
+
+        it('resolves dependencies hierarchically', function() {
+            this.store.set('url', '/api')
+                .register('client', function(url) {
+                    return {url: url};
+                }, {lifetime: 'scoped', deps: ['url']})
+                .set('admin/url', '/admin');
+            expect(this.store.peek('client')).to.eql({url: '/api'});
+            expect(this.store.peek('admin/client')).to.eql({url: '/admin'});
+            expect(this.store.peek('other/client')).to.eql({url: '/api'});
+        });
+
+        it('resolves singleton dependencies from registering store', function() {
+            this.store.set('url', '/api')
+                .register('client', function(url) {
+                    return {url: url};
+                }, {deps: ['url']})
+                .set('admin/url', '/admin');
+            expect(this.store.peek('admin/client')).to.eql({url: '/api'});
+        });
+
+        it('resolves dependencies from other providers', function() {
+            this.store.register('http', function() {
+                return 'http';
+            });
+            this.store.register('users', function(http, name) {
+                return [http, name];
+            }, {deps: ['http', 'config/name']}).set('config/name', 'users');
+            expect(this.store.peek('users')).to.eql(['http', 'users']);
+        });
+
+        it('allows nested stores to override providers', function() {
+            var values = [];
+            this.store.register('key', function() {
+                return 'parent';
+            });
+            this.store.get('child/key').subscribe(function(value) {
+                values.push(value);
+            });
+            this.store.for('child').register('key', function() {
+                return 'child';
+            });
+            this.store.set('child/key', 'value');
+            this.store.delete('child/key');
+            expect(values).to.eql(['parent', 'child', 'value', 'child']);
+        });
+
+        it('prefers values set in the same store', function() {
+            this.store.set('key', 'value').register('key', function() {
+                return 'provided';
+            });
+            expect(this.store.peek('key')).to.equal('value');
+            this.store.delete('key');
+            expect(this.store.peek('key')).to.equal('provided');
+        });
+
+        it('throws on circular dependencies', function() {
+            var store = this.store.register('a', _.identity, {deps: ['b']})
+                .register('b', _.identity, {deps: ['c']})
+                .register('c', _.identity, {deps: ['a']});
+            expect(function() {
+                store.peek('a');
+            }).to.throw('Provider `a` has a circular dependency: a -> b -> c -> a.');
+        });
+
+        it('emits error for circular dependencies', function(done) {
+            this.store.register('a', _.identity, {deps: ['a']})
+                .get('a').subscribe(_.noop, function(error) {
+                    expect(error.message).to.equal('Provider `a` has a circular dependency: a -> a.');
+                    done();
+                });
+        });
+
+        it('throws if dependency missing', function() {
+            var store = this.store.register('key', _.identity, {deps: ['dne']});
+            expect(function() {
+                store.peek('key');
+            }).to.throw('Dependency `dne` of provider `key` has no value.');
+        });
+
+        it('is read-only on ancestor stores', function() {
+            var parent = this.store.for('child').parent();
+            expect(function() {
+                parent.register('key', _.noop);
+            }).to.throw('Ancestor Stores are read-only.');
+        });
+
+    });
+
+    describe('.define', function() {
+
+        function Record() {}
+
+        it('returns reference to store for chaining', function() {
+            expect(this.store.define({})).to.equal(this.store);
+        });
+
+        it('throws if name invalid', function() {
+            var store = this.store;
+            expect(function() {
+                store.define({' ': 'string'});
+            }).to.throw('Parameter `name` must be a non-empty string');
+        });
+
+        it('throws if rule invalid', function() {
+            var store = this.store;
+            [123, 'dne', {enum: 'a'}, {validate: true}].forEach(function(rule) {
+                expect(function() {
+                    store.define({key: rule});
+                }).to.throw('Schema rule for `key` is invalid.');
+            });
+        });
+
+        it('rejects values of the wrong type', function() {
+            var store = this.store.define({
+                name: 'string',
+                record: {type: Record}
+            });
+            store.set('name', 'abc').set('record', new Record());
+            expect(function() {
+                store.set('name', 123);
+            }).to.throw('Invalid value for item `name`: expected type string.');
+            expect(function() {
+                store.set('record', {});
+            }).to.throw('Invalid value for item `record`: expected instance of Record.');
+            expect(store.toJSON().name).to.equal('abc');
+        });
+
+        it('rejects missing required values', function() {
+            var store = this.store.define({key: {required: true}, optional: 'number'});
+            store.set('optional', undefined);
+            expect(function() {
+                store.set('key', null);
+            }).to.throw('Invalid value for item `key`: value is required.');
+        });
+
+        it('rejects values not in enum', function() {
+            var store = this.store.define({status: {enum: ['idle', 'busy']}});
+            store.set('status', 'idle');
+            expect(function() {
+                store.set('status', 'done');
+            }).to.throw('Invalid value for item `status`: expected one of idle, busy.');
+        });
+
+        it('rejects values failing custom predicate', function() {
+            var store = this.store.define({count: function(value) {
+                return value > 0;
+            }});
+            store.set('count', 1);
+            expect(function() {
+                store.set('count', 0);
+            }).to.throw('Invalid value for item `count`: failed validation.');
+        });
+
+        it('matches wildcard names', function() {
+            var store = this.store.define({'count*': 'number'});
+            store.set('countAll', 1).set('total', 'abc');
+            expect(function() {
+                store.set('countSome', 'abc');
+            }).to.throw('Invalid value for item `countSome`');
+        });
+
+        it('prefers exact names over wildcards', function() {
+            var store = this.store.define({'*': 'number', name: 'string'});
+            store.set('name', 'abc');
+            expect(function() {
+                store.set('other', 'abc');
+            }).to.throw('Invalid value for item `other`');
+        });
+
+        it('defines rules on nested paths', function() {
+            var store = this.store.define({'child/key': 'number'});
+            store.set('key', 'abc');
+            expect(function() {
+                store.set('child/key', 'abc');
+            }).to.throw('Invalid value for item `key`');
+        });
+
+        it('is inherited by child stores', function() {
+            var child = this.store.define({key: 'number'}).for('child');
+            expect(function() {
+                child.set('key', 'abc');
+            }).to.throw('Invalid value for item `key`');
+        });
+
+        it('can be overridden by child stores', function() {
+            var child = this.store.define({key: 'number'}).for('child');
+            child.define({key: 'string'}).set('key', 'abc');
+            expect(function() {
+                child.set('key', 123);
+            }).to.throw('Invalid value for item `key`');
+        });
+
+        it('emits item-invalid event if configured', function() {
+            var events = [],
+                store = this.store.define({key: 'number'}, {invalid: 'emit'});
+            store.on(Store.Events.SET, function() {
+                expect.fail('not called', 'called');
+            });
+            store.on(Store.Events.INVALID, function(e) {
+                events.push(e);
+            });
+            store.set('key', 'abc');
+            expect(store.has('key')).to.equal(false);
+            expect(events).to.eql([{
+                name: 'key',
+                path: 'key',
+                store: store,
+                value: 'abc',
+                reason: 'expected type number'
+            }]);
+        });
+
+        it('rolls back transaction if value invalid', function() {
+            var store = this.store.define({key: 'number'});
+            expect(function() {
+                store.transaction(function(tx) {
+                    tx.set('a', 1).set('key', 'abc');
+                });
+            }).to.throw('Invalid value for item `key`');
+            expect(store.has('a')).to.equal(false);
+        });
+
+        it('skips invalid transaction values if configured to emit', function() {
+            var store = this.store.define({key: 'number'}, {invalid: 'emit'});
+            store.transaction(function(tx) {
+                tx.set('a', 1).set('key', 'abc');
+            });
+            expect(store.toJSON()).to.eql({a: 1});
+        });
+
+    });
+
+    describe('.use', function() {
+
+        it('throws if middleware not a function', function() {
+            var store = this.store;
+            expect(function() {
+                store.use({});
+            }).to.throw('Parameter `middleware` must be a function.');
+        });
+
+        it('sees every operation with resolved store', function() {
+            var ops = [],
+                store = this.store,
+                child = store.for('child');
+            store.use(function(op, next) {
+                ops.push(_.pick(op, ['type', 'path', 'store', 'name', 'value', 'nested', 'absent']));
+                return next();
+            });
+            store.set('child/key', 1);
+            store.get('child/key');
+            store.delete('child/key');
+            store.clear(true);
+            expect(ops).to.eql([
+                {type: 'set', path: 'child/key', store: child, name: 'key', value: 1},
+                {type: 'get', path: 'child/key', store: child, name: 'key', absent: false},
+                {type: 'delete', path: 'child/key', store: child, name: 'key'},
+                {type: 'clear', store: store, nested: true}
+            ]);
+        });
+
+        it('applies to nested stores', function() {
+            var types = [];
+            this.store.use(function(op, next) {
+                types.push(op.type);
+                return next();
+            });
+            this.store.for('child').set('key', 1).clear();
+            expect(types).to.eql(['set', 'clear']);
+        });
+
+        it('does not apply to ancestor stores', function() {
+            this.store.for('child').use(function() {
+                expect.fail('not called', 'called');
+            });
+            this.store.set('key', 1);
+        });
+
+        it('runs ancestor middleware first', function() {
+            var calls = [];
+            this.store.for('child').use(function(op, next) {
+                calls.push('child');
+                return next();
+            });
+            this.store.use(function(op, next) {
+                calls.push('root');
+                return next();
+            });
+            this.store.set('child/key', 1);
+            expect(calls).to.eql(['root', 'child']);
+        });
+
+        it('can change values', function() {
+            this.store.use(function(op, next) {
+                return next(Object.assign({}, op, {value: op.value * 2}));
+            });
+            this.store.set('key', 2);
+            expect(this.store.toJSON()).to.eql({key: 4});
+        });
+
+        it('can block writes', function() {
+            this.store.use(_.noop);
+            this.store.set('key', 1);
+            expect(this.store.has('key')).to.equal(false);
+        });
+
+        it('can redirect writes', function() {
+            var child = this.store.for('child');
+            this.store.use(function(op, next) {
+                return next(Object.assign({}, op, {store: child, name: 'other'}));
+            });
+            this.store.set('key', 1);
+            expect(this.store.toJSON({nested: true})).to.eql({child: {other: 1}});
+        });
+
+        it('can replace get streams', function(done) {
+            this.store.use(function(op, next) {
+                if (op.type !== 'get') {
+                    return next();
+                }
+                return next().map(function(value) {
+                    return value + 1;
+                });
+            });
+            this.store.get('key').subscribe(function(value) {
+                expect(value).to.equal(2);
+                done();
+            });
+            this.store.set('key', 1);
+        });
+
+        it('applies to transaction changes', function() {
+            this.store.use(function(op, next) {
+                if (op.name !== 'blocked') {
+                    return next();
+                }
+            });
+            this.store.transaction(function(tx) {
+                tx.set('key', 1).set('blocked', 2);
+            });
+            expect(this.store.toJSON()).to.eql({key: 1});
+        });
+
+        it('applies transaction changes if next result not returned', function() {
+            var paths = [];
+            this.store.use(function(op, next) {
+                paths.push(op.path);
+                next(op.name === 'key' ? Object.assign({}, op, {value: 3}) : undefined);
+            });
+            this.store.transaction(function(tx) {
+                tx.set('key', 1).set('other', 2);
+            });
+            expect(paths).to.eql(['key', 'other']);
+            expect(this.store.toJSON()).to.eql({key: 3, other: 2});
+        });
+
+        it('returns function that removes middleware', function() {
+            var off = this.store.use(_.noop);
+            off();
+            this.store.set('key', 1);
+            expect(this.store.has('key')).to.equal(true);
+        });
+
+    });
+
+    describe('equals', function() {
+
+        beforeEach(function trackSets() {
+            var sets = this.sets = [];
+            this.store.on(Store.Events.SET, function(e) {
+                sets.push(e.value);
+            });
+        });
+
+        it('sets every value by default', function() {
+            this.store.set('key', 1).set('key', 1);
+            expect(this.sets).to.eql([1, 1]);
+        });
+
+        it('throws if option invalid', function() {
+            var store = this.store;
+            expect(function() {
+                store.configure({equals: 'loose'});
+            }).to.throw('Option `equals` must be \'strict\', \'shallow\', \'deep\' or a function.');
+            expect(function() {
+                store.define({key: {equals: 'loose'}});
+            }).to.throw('Schema rule for `key` is invalid.');
+        });
+
+        it('ignores strictly equal values', function() {
+            var value = {a: 1};
+            this.store.configure({equals: 'strict'})
+                .set('key', value).set('key', value).set('key', {a: 1});
+            expect(this.sets).to.eql([value, value]);
+            expect(this.sets.length).to.equal(2);
+        });
+
+        it('ignores shallowly equal values', function() {
+            var nested = {};
+            this.store.configure({equals: 'shallow'})
+                .set('key', {a: 1, b: nested})
+                .set('key', {a: 1, b: nested})
+                .set('key', {a: 1, b: {}})
+                .set('key', {a: 1});
+            expect(this.sets.length).to.equal(3);
+        });
+
+        it('ignores deeply equal values', function() {
+            this.store.configure({equals: 'deep'})
+                .set('key', {a: [1, {b: 2}]})
+                .set('key', {a: [1, {b: 2}]})
+                .set('key', {a: [1, {b: 3}]});
+            expect(this.sets.length).to.equal(2);
+        });
+
+        it('uses custom comparer', function() {
+            this.store.configure({
+                equals: function(a, b) {
+                    return a.id === b.id;
+                }
+            })
+                .set('key', {id: 1, name: 'a'})
+                .set('key', {id: 1, name: 'b'})
+                .set('key', {id: 2, name: 'b'});
+            expect(_.map(this.sets, 'name')).to.eql(['a', 'b']);
+        });
+
+        it('sets equal value if forced', function() {
+            this.store.configure({equals: 'strict'})
+                .set('key', 1)
+                .set('key', 1, {force: true});
+            expect(this.sets).to.eql([1, 1]);
+        });
+
+        it('is inherited by nested stores', function() {
+            var sets = [],
+                child = this.store.configure({equals: 'deep'}).for('child');
+            child.on(Store.Events.SET, function(e) {
+                sets.push(e.value);
+            });
+            child.set('key', [1]).set('key', [1]);
+            child.configure({equals: 'strict'}).set('key', [1]);
+            expect(sets).to.eql([[1], [1]]);
+        });
+
+        it('uses schema rule for specific items', function() {
+            this.store.configure({equals: 'strict'})
+                .define({'list*': {equals: 'deep'}})
+                .set('list', [1]).set('list', [1])
+                .set('other', [1]).set('other', [1]);
+            expect(this.sets).to.eql([[1], [1], [1]]);
+        });
+
+        it('does not notify get subscribers of equal values', function() {
+            var values = [];
+            this.store.configure({equals: 'deep'}).set('key', {a: 1});
+            this.store.get('key').subscribe(function(value) {
+                values.push(value);
+            });
+            this.store.set('key', {a: 1});
+            expect(values).to.eql([{a: 1}]);
+        });
+
+        it('skips equal values in transactions', function() {
+            var batches = [];
+            this.store.configure({equals: 'strict'}).set('a', 1).set('b', 2);
+            this.store.on(Store.Events.BATCH, function(e) {
+                batches.push(e.paths);
+            });
+            this.store.transaction(function(tx) {
+                tx.set('a', 1).set('b', 3);
+            });
+            this.store.transaction(function(tx) {
+                tx.set('a', 1);
+            });
+            this.store.transaction(function(tx) {
+                tx.set('a', 1, {force: true});
+            });
+            expect(batches).to.eql([['b'], ['a']]);
+        });
+
+        it('applies ttl to equal values', function() {
+            var sets = this.sets,
+                store = this.store,
+                scheduler = new Rx.VirtualTimeScheduler();
+            store.configure({equals: 'strict', scheduler: scheduler})
+                .set('a', 1, {ttl: 10})
+                .set('a', 1, {ttl: 30})
+                .set('b', 2, {ttl: 10});
+            store.transaction(function(tx) {
+                tx.set('b', 2, {ttl: Infinity});
+            });
+            scheduler.schedule(function() {
+                expect(store.toJSON()).to.eql({a: 1, b: 2});
+            }, 20);
+            scheduler.flush();
+            expect(store.toJSON()).to.eql({b: 2});
+            expect(sets).to.eql([1, 2]);
+        });
+
+    });
+
+    describe('ttl', function() {
+
+        beforeEach(function createScheduler() {
+            this.scheduler = new Rx.VirtualTimeScheduler();
+            this.store.configure({scheduler: this.scheduler});
+        });
+
+        it('configure returns reference to store for chaining', function() {
+            expect(this.store.configure({})).to.equal(this.store);
+        });
+
+        it('removes item after ttl elapses', function() {
+            this.store.set('key', 'value', {ttl: 100});
+            expect(this.store.has('key')).to.equal(true);
+            this.scheduler.flush();
+            expect(this.store.has('key')).to.equal(false);
+        });
+
+        it('emits item-removed event with expired reason', function() {
+            var events = [];
+            this.store.on(Store.Events.REMOVED, function(e) {
+                events.push(e);
+            });
+            this.store.set('key', 'value', {ttl: 100});
+            this.scheduler.flush();
+            expect(events).to.eql([{
+                name: 'key',
+                path: 'key',
+                store: this.store,
+                reason: 'expired'
+            }]);
+        });
+
+        it('uses default ttl from configure', function() {
+            this.store.configure({ttl: 100}).set('a', 1).set('b', 2, {ttl: Infinity});
+            this.scheduler.flush();
+            expect(this.store.toJSON()).to.eql({b: 2});
+        });
+
+        it('inherits default ttl from ancestors', function() {
+            var child = this.store.configure({ttl: 100}).for('child');
+            child.set('key', 1).for('grandchild').configure({ttl: Infinity}).set('key', 2);
+            this.scheduler.flush();
+            expect(this.store.toJSON({nested: true})).to.eql({
+                child: {grandchild: {key: 2}}
+            });
+        });
+
+        it('restarts ttl when item set again', function() {
+            var scheduler = new Rx.VirtualTimeScheduler(Rx.VirtualTimeScheduler.VirtualAction, 150);
+            this.store.configure({scheduler: scheduler})
+                .set('a', 1, {ttl: 100})
+                .set('a', 2, {ttl: 200});
+            scheduler.flush();
+            expect(this.store.toJSON()).to.eql({a: 2});
+        });
+
+        it('does not expire deleted items', function() {
+            this.store.on(Store.Events.REMOVED, function(e) {
+                expect(e.reason).to.be.undefined;
+            });
+            this.store.set('key', 'value', {ttl: 100}).delete('key');
+            this.scheduler.flush();
+        });
+
+        it('applies to transaction changes', function() {
+            this.store.transaction(function(tx) {
+                tx.set('a', 1, {ttl: 100}).set('b', 2);
+            });
+            this.scheduler.flush();
+            expect(this.store.toJSON()).to.eql({b: 2});
+        });
+
+        it('get falls back to ancestor value when item expires', function() {
+            var values = [];
+            this.store.set('key', 'parent')
+                .for('child')
+                .set('key', 'child', {ttl: 100})
+                .get('key')
+                .subscribe(function(value) {
+                    values.push(value);
+                });
+            this.scheduler.flush();
+            expect(values).to.eql(['child', 'parent']);
+        });
+
+    });
+
+    describe('log', function() {
+
+        beforeEach(function captureLog() {
+            var log = this.log = [];
+            this.scheduler = new Rx.VirtualTimeScheduler();
+            this.store.configure({scheduler: this.scheduler});
+            this.subscription = this.store.log$.subscribe(function(entry) {
+                log.push(entry);
+            });
+        });
+
+        it('logs operations with full paths and times', function() {
+            var store = this.store.set('a', 1);
+            this.scheduler.schedule(function() {
+                store.set('child/b', 2);
+            }, 10);
+            this.scheduler.schedule(function() {
+                store.delete('a');
+            }, 20);
+            this.scheduler.flush();
+            this.store.for('child').clear();
+            this.store.removeChild('child');
+            expect(this.log).to.eql([
+                {type: 'set', path: 'a', value: 1, time: 0},
+                {type: 'store-added', path: 'child', time: 10},
+                {type: 'set', path: 'child/b', value: 2, time: 10},
+                {type: 'delete', path: 'a', time: 20},
+                {type: 'delete', path: 'child/b', time: 20},
+                {type: 'clear', path: 'child', time: 20},
+                {type: 'clear', path: 'child', time: 20},
+                {type: 'store-removed', path: 'child', time: 20}
+            ]);
+        });
+
+        it('escapes names in paths', function() {
+            this.store.set('a\\/b', 1);
+            expect(_.map(this.log, 'path')).to.eql(['a\\/b']);
+        });
+
+        it('does not log computed item updates', function() {
+            var copy = new Store();
+            function fullName(first) {
+                return first + ' Doe';
+            }
+            this.store.compute('full', ['first'], fullName);
+            copy.compute('full', ['first'], fullName);
+            this.store.set('first', 'Jane');
+            expect(_.map(this.log, 'path')).to.eql(['first']);
+            copy.replay(this.log);
+            expect(copy.peek('full')).to.equal('Jane Doe');
+        });
+
+        it('logs resolved values of async items', function() {
+            var subject = new Rx.Subject();
+            this.store.setAsync('key', subject);
+            subject.next(1);
+            subject.error(new Error('failed'));
+            expect(_.map(this.log, 'value')).to.eql([1]);
+            expect(Store.fromLog(JSON.parse(JSON.stringify(this.log))).toJSON()).to.eql({key: 1});
+        });
+
+        it('stops logging when unsubscribed', function() {
+            this.subscription.unsubscribe();
+            this.store.set('a', 1);
+            expect(this.log).to.eql([]);
+        });
+
+        it('is available on read-only ancestors', function() {
+            var entries = [];
+            this.store.for('child').parent().log$.subscribe(function(entry) {
+                entries.push(entry.path);
+            });
+            this.store.set('key', 1);
+            expect(entries).to.eql(['key']);
+        });
+
+        it('replays log into store', function() {
+            var copy = new Store();
+            this.store.set('a', 1).set('child/b', 2).set('other/c', 3);
+            this.store.for('child').clear();
+            this.store.removeChild('other');
+            this.store.for('empty');
+            expect(copy.replay(this.log)).to.equal(copy);
+            expect(copy.toJSON({nested: true})).to.eql(this.store.toJSON({nested: true}));
+            expect(copy.children()).to.eql(['child', 'empty']);
+        });
+
+        it('replays log relative to store', function() {
+            var root = new Store();
+            this.store.set('child/key', 1);
+            root.for('copy').replay(this.log);
+            expect(root.toJSON({nested: true})).to.eql({copy: {child: {key: 1}}});
+        });
+
+        it('throws if log invalid', function() {
+            var store = this.store;
+            expect(function() {
+                store.replay({});
+            }).to.throw('Parameter `log` must be an array.');
+            expect(function() {
+                store.replay([{type: 'merge', path: 'a'}]);
+            }).to.throw('Unknown log entry type: merge');
+        });
+
+        it('creates store from log', function() {
+            this.store.set('a', 1).set('b', 2);
+            expect(Store.fromLog(this.log).toJSON()).to.eql({a: 1, b: 2});
+        });
+
+        it('creates store from log until time', function() {
+            var store = this.store.set('a', 1);
+            this.scheduler.schedule(function() {
+                store.set('a', 2);
+            }, 10);
+            this.scheduler.schedule(function() {
+                store.set('b', 3);
+            }, 20);
+            this.scheduler.flush();
+            expect(Store.fromLog(this.log, {until: 10}).toJSON()).to.eql({a: 2});
+            expect(Store.fromLog(this.log, {until: new Date(5)}).toJSON()).to.eql({a: 1});
+        });
+
+    });
+
+    describe('.view', function() {
+
+        beforeEach(function addItems() {
+            this.store.set('user/name', 'Jane').set('user/token', 'secret')
+                .set('plugins/acme/enabled', false).set('config', 1);
+            this.view = this.store.view({allow: ['user/*', 'plugins/acme/**'], deny: ['user/token']});
+        });
+
+        it('returns StoreView instances', function() {
+            expect(this.view).to.be.instanceof(StoreView);
+            expect(this.view.for('user')).to.be.instanceof(StoreView);
+        });
+
+        it('throws if options invalid', function() {
+            var store = this.store;
+            expect(function() {
+                store.view({allow: 'user'});
+            }).to.throw('Parameters `allow` and `deny` must be arrays.');
+            checkThrow(function(name) {
+                store.view({deny: [name]});
+            });
+            checkThrow(function(name) {
+                store.view().get(name);
+            });
+        });
+
+        it('reads allowed items', function(done) {
+            expect(this.view.peek('user/name')).to.equal('Jane');
+            expect(this.view.has('plugins/acme/enabled')).to.equal(true);
+            this.view.get('user/name').subscribe(function(value) {
+                expect(value).to.equal('Jane');
+                done();
+            });
+        });
+
+        it('reads allowed items with getAll', function() {
+            var values = [],
+                view = this.view;
+            view.getAll(['user/name', 'plugins/acme/enabled']).subscribe(function(value) {
+                values.push(value);
+            });
+            expect(values).to.eql([['Jane', false]]);
+            expect(function() {
+                view.getAll(['user/name', 'user/token']);
+            }).to.throw(AccessError);
+        });
+
+        it('writes allowed items', function() {
+            expect(this.view.set('user/name', 'John')).to.equal(this.view);
+            this.view.delete('plugins/acme/enabled');
+            expect(this.store.peek('user/name')).to.equal('John');
+            expect(this.store.has('plugins/acme/enabled')).to.equal(false);
+        });
+
+        it('throws typed errors for items not allowed', function() {
+            var view = this.view;
+            ['config', 'user/token', 'plugins/other/key'].forEach(function(path) {
+                expect(function() {
+                    view.peek(path);
+                }).to.throw(AccessError,
+                    'Item `' + path + '` is not accessible through the view.');
+                expect(function() {
+                    view.set(path, 1);
+                }).to.throw(AccessError);
+            });
+            var error = _.attempt(function() {
+                view.get('config');
+            });
+            expect(error).to.be.instanceof(Error);
+            expect(error).to.include({name: 'AccessError', path: 'config', operation: 'read'});
+        });
+
+        it('carries restrictions into nested views', function() {
+            var user = this.view.for('user');
+            expect(user.peek('name')).to.equal('Jane');
+            expect(function() {
+                user.peek('token');
+            }).to.throw(AccessError);
+            expect(function() {
+                user.peek('../config');
+            }).to.throw(AccessError);
+            expect(user.for('../plugins/acme').peek('enabled')).to.equal(false);
+            expect(user.peek('/user/name')).to.equal('Jane');
+        });
+
+        it('cannot navigate outside the view', function() {
+            var view = this.store.for('plugins').view();
+            expect(function() {
+                view.for('..');
+            }).to.throw(AccessError, 'Path `..` is outside the view.');
+            expect(function() {
+                view.peek('../config');
+            }).to.throw(AccessError);
+            expect(view.peek('/acme/enabled')).to.equal(false);
+        });
+
+        it('does not create nested stores', function() {
+            var added = [];
+            this.store.on(Store.Events.CREATED, function(e) {
+                added.push(e.name);
+            });
+            this.view.for('user/a/b').keys();
+            expect(added).to.eql([]);
+        });
+
+        it('prevents changes if readonly', function() {
+            var view = this.store.view({readonly: true});
+            expect(view.peek('config')).to.equal(1);
+            expect(function() {
+                view.set('config', 2);
+            }).to.throw(AccessError, 'Item `config` is read-only in the view.');
+            expect(function() {
+                view.for('user').delete('name');
+            }).to.throw(AccessError);
+            expect(function() {
+                view.clear();
+            }).to.throw(AccessError, 'The view is read-only.');
+        });
+
+        it('combines restrictions of nested views', function() {
+            var view = this.view.for('user').view({readonly: true});
+            expect(view.peek('name')).to.equal('Jane');
+            expect(function() {
+                view.peek('token');
+            }).to.throw(AccessError);
+            expect(function() {
+                view.set('name', 'John');
+            }).to.throw(AccessError);
+            expect(function() {
+                view.for('..');
+            }).to.throw(AccessError);
+        });
+
+        it('lists and clears allowed items', function() {
+            var user = this.view.for('user');
+            expect(user.keys()).to.eql(['name']);
+            user.clear();
+            expect(this.store.for('user').toJSON()).to.eql({token: 'secret'});
+        });
+
+        it('does not inherit values from outside the view', function() {
+            var view = this.store.set('secret', 'pw').for('plugins').view(),
+                values = [];
+            view.get('secret', {absent: true}).subscribe(function(value) {
+                values.push(value);
+            });
+            this.store.set('secret', 'other');
+            expect(view.peek('secret')).to.equal(undefined);
+            expect(view.has('secret', {inherited: true})).to.equal(false);
+            expect(values).to.eql([Store.ABSENT]);
+        });
+
+        it('inherits values from outside the view if allowed', function() {
+            var view = this.store.set('secret', 'pw').for('plugins').view({inherit: true});
+            expect(view.peek('acme/secret')).to.equal('pw');
+            expect(view.has('secret', {inherited: true})).to.equal(true);
+        });
+
+        it('inherits values from stores in the view', function() {
+            var view = this.store.set('plugins/theme', 'dark').for('plugins').view(),
+                values = [];
+            view.get('acme/theme').subscribe(function(value) {
+                values.push(value);
+            });
+            expect(view.peek('acme/theme')).to.equal('dark');
+            expect(view.has('acme/theme')).to.equal(false);
+            expect(view.has('acme/theme', {inherited: true})).to.equal(true);
+            expect(values).to.eql(['dark']);
+        });
+
+        it('does not inherit values from outside nested views', function() {
+            var view = this.store.set('plugins/theme', 'dark').view().for('plugins/acme').view();
+            expect(view.peek('theme')).to.equal(undefined);
+        });
+
+        it('gives value info with view sources', function() {
+            var infos = [];
+            this.store.set('plugins/theme', 'dark');
+            this.store.view().for('plugins/acme').getWithMeta('theme').subscribe(function(info) {
+                infos.push(info);
+            });
+            expect(infos.length).to.equal(1);
+            expect(infos[0]).to.include({value: 'dark', path: 'theme', inherited: true});
+            expect(infos[0].source).to.be.instanceof(StoreView);
+            expect(infos[0].source.peek('theme')).to.equal('dark');
+            expect(function() {
+                infos[0].source.for('../..');
+            }).to.throw(AccessError);
+        });
+
+        it('watches allowed items', function() {
+            var changes = [];
+            this.view.for('user').watch().subscribe(function(change) {
+                changes.push(change);
+            });
+            this.store.set('user/token', 'other').set('user/name', 'John').set('config', 2);
+            expect(changes).to.eql([{type: 'set', path: 'name', value: 'John', oldValue: 'Jane'}]);
+        });
+
+        it('logs operations on allowed items', function() {
+            var entries = [];
+            this.view.for('user').log$.subscribe(function(entry) {
+                entries.push(_.omit(entry, 'time'));
+            });
+            this.store.set('user/token', 'other').set('user/name', 'John').set('config', 2);
+            this.store.for('user').clear();
+            expect(entries).to.eql([
+                {type: 'set', path: 'name', value: 'John'},
+                {type: 'delete', path: 'name'},
+                {type: 'clear', path: ''}
+            ]);
+        });
+
+    });
+
+    describe('snapshots', function() {
+
+        it('captures items and nested stores separately', function() {
+            this.store.set('a', {b: 1}).set('child/c', 2).for('empty');
+            this.store.compute('d', ['a'], _.identity);
+            expect(this.store.snapshot()).to.eql({
+                items: {a: {b: 1}},
+                children: {child: {items: {c: 2}, children: {}}, empty: {items: {}, children: {}}}
+            });
+        });
+
+        it('copies values', function() {
+            var value = {b: 1},
+                snapshot = this.store.set('a', value).snapshot();
+            value.b = 2;
+            expect(snapshot.items.a).to.eql({b: 1});
+        });
+
+        it('restores state', function() {
+            var snapshot = this.store.set('a', {b: 1}).set('child/c', 2).snapshot();
+            this.store.set('a', 3).delete('child/c');
+            this.store.set('child/d', 4).set('other/e', 5);
+            expect(this.store.restore(snapshot)).to.equal(this.store);
+            expect(this.store.toJSON({nested: true})).to.eql({a: {b: 1}, child: {c: 2}, other: {}});
+        });
+
+        it('restores in a single batch', function() {
+            var batches = [],
+                snapshot = this.store.set('a', 1).snapshot();
+            this.store.set('a', 2).set('b', 3);
+            this.store.on(Store.Events.BATCH, function(e) {
+                batches.push(e.paths.sort());
+            });
+            this.store.restore(snapshot);
+            expect(batches).to.eql([['a', 'b']]);
+        });
+
+        it('throws if snapshot invalid', function() {
+            var store = this.store;
+            expect(function() {
+                store.restore({items: []});
+            }).to.throw('Parameter `snapshot` must be a store snapshot.');
+        });
+
+    });
+
+    describe('.watch', function() {
+
+        function collect(observable) {
+            var changes = [];
+            observable.subscribe(function(change) {
+                changes.push(change);
+            });
+            return changes;
+        }
+
+        it('throws if pattern invalid', function() {
+            checkThrow(this.store.watch);
+        });
+
+        it('gives every change in the tree by default', function() {
+            var changes = collect(this.store.watch());
+            this.store.set('a', 1).set('a', 2).set('child/b', 3);
+            this.store.delete('a');
+            this.store.clear(true);
+            expect(changes).to.eql([
+                {type: 'set', path: 'a', value: 1, oldValue: undefined},
+                {type: 'set', path: 'a', value: 2, oldValue: 1},
+                {type: 'set', path: 'child/b', value: 3, oldValue: undefined},
+                {type: 'delete', path: 'a', value: undefined, oldValue: 2},
+                {type: 'clear', path: 'child/b', value: undefined, oldValue: 3}
+            ]);
+        });
+
+        it('matches single names with *', function() {
+            var changes = collect(this.store.watch('users/*/profile'));
+            this.store.set('users/1/profile', 'a')
+                .set('users/1/other', 'b')
+                .set('users/1/nested/profile', 'c')
+                .set('users/2/profile', 'd')
+                .set('profile', 'e');
+            expect(_.map(changes, 'value')).to.eql(['a', 'd']);
+        });
+
+        it('matches partial names with *', function() {
+            var changes = collect(this.store.watch('count*'));
+            this.store.set('countAll', 1).set('total', 2).set('child/countSome', 3);
+            expect(_.map(changes, 'path')).to.eql(['countAll']);
+        });
+
+        it('matches nested stores with **', function() {
+            var changes = collect(this.store.watch('**/name'));
+            this.store.set('name', 1).set('a/name', 2).set('a/b/name', 3).set('a/other', 4);
+            expect(_.map(changes, 'path')).to.eql(['name', 'a/name', 'a/b/name']);
+        });
+
+        it('includes stores created after subscribing', function() {
+            var child = this.store.for('child'),
+                changes = collect(child.watch());
+            child.set('grandchild/key', 1);
+            this.store.set('key', 2);
+            expect(changes).to.eql([
+                {type: 'set', path: 'grandchild/key', value: 1, oldValue: undefined}
+            ]);
+        });
+
+        it('gives expired items as deletes', function() {
+            var scheduler = new Rx.VirtualTimeScheduler(),
+                changes = collect(this.store.watch());
+            this.store.configure({scheduler: scheduler}).set('key', 1, {ttl: 10});
+            scheduler.flush();
+            expect(_.map(changes, 'type')).to.eql(['set', 'delete']);
+        });
+
+        it('does not give computed item updates', function() {
+            var changes = collect(this.store.watch());
+            this.store.compute('double', ['key'], function(value) {
+                return value * 2;
+            });
+            this.store.set('key', 1);
+            expect(this.store.peek('double')).to.equal(2);
+            expect(_.map(changes, 'path')).to.eql(['key']);
+        });
+
+        it('stops when unsubscribed', function() {
+            var count = 0;
+            this.store.watch().subscribe(function() {
+                count++;
+            }).unsubscribe();
+            this.store.set('key', 1);
+            expect(count).to.equal(0);
+        });
+
+    });
+
+    describe('.removeChild', function() {
+
+        it('returns reference to store for chaining', function() {
+            this.store.for('child');
+            expect(this.store.removeChild('child')).to.equal(this.store);
+        });
+
+        it('throws if name invalid', function() {
+            checkThrow(this.store.removeChild);
+        });
+
+        it('throws if path not to a store', function() {
+            var store = this.store.set('key', 1);
+            ['key', 'dne'].forEach(function(name) {
+                expect(function() {
+                    store.removeChild(name);
+                }).to.throw('Path does not resolve to a Store.');
+            });
+        });
+
+        it('detaches nested stores', function() {
+            var child = this.store.for('child');
+            this.store.for('child/grandchild');
+            this.store.for('other/nested');
+            this.store.removeChild('child');
+            this.store.removeChild('other/nested');
+            expect(this.store.children()).to.eql(['other']);
+            expect(this.store.for('other').children()).to.eql([]);
+            expect(child.children()).to.eql([]);
+            expect(this.store.for('child')).not.to.equal(child);
+        });
+
+        it('clears items in removed stores', function() {
+            var removed = [],
+                grandchild = this.store.for('child/grandchild').set('key', 1);
+            grandchild.on(Store.Events.REMOVED, function(e) {
+                removed.push(e.name);
+            });
+            this.store.removeChild('child');
+            expect(grandchild.has('key')).to.equal(false);
+            expect(removed).to.eql(['key']);
+        });
+
+        it('emits store-removed event for each removed store', function() {
+            var events = [],
+                child = this.store.for('child'),
+                grandchild = child.for('grandchild');
+            [this.store, child].forEach(function(store) {
+                store.on(Store.Events.DETACHED, function(e) {
+                    events.push([e.store, e.name, e.path, e.child]);
+                });
+            });
+            this.store.removeChild('child');
+            expect(events).to.eql([
+                [child, 'grandchild', 'grandchild', grandchild],
+                [this.store, 'child', 'child', child]
+            ]);
+        });
+
+        it('completes outstanding observables', function() {
+            var completed = [],
+                onComplete = function(name) {
+                    return function() {
+                        completed.push(name);
+                    };
+                };
+            this.store.set('key', 1);
+            this.store.get('child/key').subscribe(_.noop, _.noop, onComplete('get'));
+            this.store.getWithMeta('child/grandchild/key').subscribe(_.noop, _.noop, onComplete('meta'));
+            this.store.for('child').watch().subscribe(_.noop, _.noop, onComplete('watch'));
+            this.store.get('key').subscribe(_.noop, _.noop, onComplete('root'));
+            this.store.removeChild('child');
+            expect(completed.sort()).to.eql(['get', 'meta', 'watch']);
+        });
+
+        it('stops computed items', function() {
+            var child = this.store.for('child').compute('key', ['a'], _.identity);
+            this.store.set('a', 1).removeChild('child');
+            this.store.set('a', 2);
+            expect(child.has('key')).to.equal(false);
+        });
+
+        it('disposes values if requested', function() {
+            var calls = 0,
+                value = {
+                    dispose: function() {
+                        calls++;
+                    }
+                };
+            this.store.set('a/key', value).set('b/key', value);
+            this.store.removeChild('a');
+            expect(calls).to.equal(0);
+            this.store.removeChild('b', {disposeValues: true});
+            expect(calls).to.equal(1);
+        });
+
+    });
+
+    describe('.dispose', function() {
+
+        it('removes nested store from its parent', function(done) {
+            var child = this.store.for('child');
+            this.store.on(Store.Events.DETACHED, function(e) {
+                expect(e.child).to.equal(child);
+                done();
+            });
+            child.dispose();
+            expect(this.store.children()).to.eql([]);
+        });
+
+        it('clears root store and completes observables', function() {
+            var completed = false;
+            this.store.set('key', 1).for('child');
+            this.store.get('key').subscribe(_.noop, _.noop, function() {
+                completed = true;
+            });
+            this.store.dispose();
+            expect(completed).to.equal(true);
+            expect(this.store.size).to.equal(0);
+            expect(this.store.children()).to.eql([]);
+        });
+
+        it('completes get observables created after disposal', function() {
+            var completed = false;
+            this.store.dispose();
+            this.store.get('key').subscribe(_.noop, _.noop, function() {
+                completed = true;
+            });
+            expect(completed).to.equal(true);
+        });
+
+    });
+
+    describe('.delete', function() {
+
+        it('throws if name invalid', function() {
+            checkThrow(this.store.delete);
+        });
+
+        it('throws if path not to a store', function() {
+            var store = this.store.set('child/value', 123);
+            expect(function() {
+                store.delete('child/value/key');
+            }).to.throw('Path does not resolve to a Store.');
+        });
+
+        it('does not create nested stores', function() {
+            var added = [];
+            this.store.on(Store.Events.CREATED, function(e) {
+                added.push(e.name);
+            });
+            this.store.delete('child/key');
+            expect(added).to.eql([]);
+        });
+
+        it('removes item from immediate store', function() {
+            expect(this.store.set('key', 'value').has('key')).to.equal(true);
+            this.store.delete('key');
+            expect(this.store.has('key')).to.equal(false);
+        });
+
+        it('removes item from child store', function() {
+            this.store.set('child/key', 'value');
+            expect(this.store.for('child').has('key')).to.equal(true);
+            this.store.delete('child/key');
+            expect(this.store.for('child').has('key')).to.equal(false);
+        });
+
+        it('emits item-removed event', function(done) {
+            var child = this.store.for('child').set('key', 'value');
+            this.store.on('item-removed', function() {
+                expect.fail('not called', 'called');
+            });
+            child.on('item-removed', function(e) {
+                expect(e.name).to.equal('key');
+                done();
+            });
+            this.store.delete('child/key');
+        });
+
+        it('does not emit event if item not in store', function() {
+            this.store.on(Store.Events.REMOVED, function() {
+                expect.fail('not called', 'called');
+            });
+            this.store.delete('dne');
+        });
+
+    });
+
+    describe('.clear', function() {
+
+        it('removes all items in the store', function() {
+            this.store.set('a', 1)
+                .set('b', 2)
+                .set('c', 3);
+            expect(this.store.has('a')).to.equal(true);
+            expect(this.store.has('b')).to.equal(true);
+            expect(this.store.has('c')).to.equal(true);
+            this.store.clear();
+            expect(this.store.has('a')).to.equal(false);
+            expect(this.store.has('b')).to.equal(false);
+            expect(this.store.has('c')).to.equal(false);
+        });
+
+        it('emits item-removed event for each item', function(done) {
+            var callCount = 0;
+            this.store.for('child').on('item-removed', function(e) {
+                expect(Number(e.name)).to.eql(callCount);
+                if (++callCount >= 3) {
+                    done();
+                }
+            });
+            this.store.on('item-removed', function() {
+                expect.fail('called', 'not called');
+            });
+            this.store.for('child')
+                .set('0', 'abc')
+                .set('1', 'def')
+                .set('2', 'ghi')
+                .clear();
+        });
+
+        it('emits store-cleared event', function(done) {
+            this.store.on('store-cleared', function() {
+                done();
+            });
+            this.store.clear();
+        });
+
+        it('calls clear on all nested stores if nested is truthy', function(done) {
+            var clearCount = 0,
+                callback = function() {
+                    if (++clearCount === 4) {
+                        done();
+                    }
+                },
+                child1 = this.store.for('child1'),
+                child2 = this.store.for('child2'),
+                grandchild = child2.for('grandchild');
+            child1.on('store-cleared', callback);
+            child2.on('store-cleared', callback);
+            grandchild.on('store-cleared', callback);
+            this.store.on('store-cleared', callback);
+            this.store.clear(true);
+        });
+
+        it('item added during clear is also cleared', function(done) {
+            var callCount = 0,
+                store = this.store;
+            store.on(Store.Events.REMOVED, function() {
+                if (++callCount === 1) {
+                    store.set('a', 123);
+                }
+            });
+            store.set('b', 456);
+            store.set('c', 789);
             expect(callCount).to.equal(0);
             store.clear();
             expect(callCount).to.equal(3);
@@ -460,3 +3250,617 @@ describe('Store', function() {
     });
 
 });
+
+describe('makeStoreDriver', function() {
+
+    /* jshint -W030 */
+
+    beforeEach(function createInstance() {
+        this.store = new Store();
+        this.sink$ = new Rx.Subject();
+        this.source = makeStoreDriver(this.store)(this.sink$);
+    });
+
+    it('throws if argument not a Store instance', function() {
+        expect(function() {
+            makeStoreDriver({});
+        }).to.throw('The argument provided must be a Store instance.');
+    });
+
+    it('creates a root store if none provided', function(done) {
+        var sink$ = new Rx.Subject(),
+            source = makeStoreDriver()(sink$);
+        source.get('key').subscribe(function onNext(value) {
+            expect(value).to.equal('value');
+            done();
+        });
+        sink$.next({type: 'set', path: 'key', value: 'value'});
+    });
+
+    it('applies set commands', function() {
+        this.sink$.next({type: 'set', path: 'child/key', value: 123});
+        expect(this.store.for('child').has('key')).to.equal(true);
+    });
+
+    it('applies delete commands', function() {
+        this.store.set('child/key', 123);
+        this.sink$.next({type: 'delete', path: 'child/key'});
+        expect(this.store.for('child').has('key')).to.equal(false);
+    });
+
+    it('applies clear commands', function() {
+        this.store.set('key', 123).set('child/key', 456);
+        this.sink$.next({type: 'clear', path: 'child'});
+        expect(this.store.has('key')).to.equal(true);
+        expect(this.store.for('child').has('key')).to.equal(false);
+        this.sink$.next({type: 'clear'});
+        expect(this.store.has('key')).to.equal(false);
+    });
+
+    it('emits error event on unknown commands', function() {
+        var errors = [],
+            command = {type: 'dne', path: 'key'};
+        this.store.on('error', function(e) {
+            errors.push(e);
+        });
+        this.sink$.next(command);
+        expect(errors.length).to.equal(1);
+        expect(errors[0].command).to.equal(command);
+        expect(errors[0].error.message).to.equal('Unknown store command type: dne');
+    });
+
+    it('keeps applying commands after a command fails', function() {
+        this.store.on('error', _.noop);
+        this.sink$.next({type: 'set', path: 'key', value: 1});
+        this.sink$.next({type: 'dne', path: 'key', value: 2});
+        this.sink$.next({type: 'set', path: 'key', value: 3});
+        expect(this.store.peek('key')).to.equal(3);
+    });
+
+    it('emits error event when sink errors', function() {
+        var errors = [],
+            error = new Error('sink failed');
+        this.source.events('error').subscribe(function onNext(e) {
+            errors.push(e);
+        });
+        this.sink$.error(error);
+        expect(errors).to.eql([{type: 'error', error: error}]);
+    });
+
+    it('source.get streams store values', function(done) {
+        this.source.get('key').subscribe(function onNext(value) {
+            expect(value).to.equal('value');
+            done();
+        });
+        this.store.set('key', 'value');
+    });
+
+    it('source.for returns a scoped source', function(done) {
+        var child = this.source.for('child');
+        expect(child.for).to.be.a('function');
+        expect(child.events).to.be.a('function');
+        child.get('key').subscribe(function onNext(value) {
+            expect(value).to.equal('child-value');
+            done();
+        });
+        this.store.set('child/key', 'child-value');
+    });
+
+    it('source.events streams all store events', function() {
+        var types = [];
+        this.source.events().subscribe(function onNext(e) {
+            types.push(e.type);
+        });
+        this.store.set('key', 'value');
+        this.store.delete('key');
+        this.store.clear();
+        expect(types).to.eql([
+            Store.Events.SET,
+            Store.Events.REMOVED,
+            Store.Events.CLEARED
+        ]);
+    });
+
+    it('source.events filters by event name', function(done) {
+        this.source.for('child').events(Store.Events.SET)
+            .subscribe(function onNext(e) {
+                expect(e.type).to.equal(Store.Events.SET);
+                expect(e.name).to.equal('key');
+                expect(e.value).to.equal('value');
+                done();
+            });
+        this.store.set('child/key', 'value');
+        this.store.delete('child/key');
+    });
+
+});
+
+describe('RemoteStore', function() {
+
+    beforeEach(function connect() {
+        var channel = new MessageChannel(),
+            remote = Store.connect(channel.port2);
+        this.port1 = channel.port1;
+        this.port2 = channel.port2;
+        this.store = new Store();
+        this.stop = Store.expose(this.store, this.port1);
+        this.remote = remote;
+        // requests and replies arrive in order, so a round trip waits
+        // for every message sent before it
+        this.delivered = function() {
+            return remote.has('delivered');
+        };
+    });
+
+    afterEach(function closeChannel() {
+        this.port1.close();
+        this.port2.close();
+    });
+
+    it('throws if arguments invalid', function() {
+        expect(function() {
+            Store.expose({}, new MessageChannel().port1);
+        }).to.throw('The argument provided must be a Store instance.');
+        expect(function() {
+            Store.expose(new Store(), {});
+        }).to.throw('Parameter `port` must implement `postMessage`.');
+        expect(function() {
+            Store.connect({});
+        }).to.throw('Parameter `port` must implement `postMessage`.');
+    });
+
+    it('returns RemoteStore instances', function() {
+        expect(this.remote).to.be.instanceof(RemoteStore);
+        expect(this.remote.for('child')).to.be.instanceof(RemoteStore);
+    });
+
+    it('throws if name invalid', function() {
+        var remote = this.remote;
+        checkThrow(function(name) {
+            remote.for(name);
+        });
+        checkThrow(function(name) {
+            remote.get(name);
+        });
+        checkThrow(function(name) {
+            remote.set(name, 1);
+        });
+        expect(function() {
+            remote.for('..');
+        }).to.throw('Path does not resolve to a Store.');
+    });
+
+    it('sets values asynchronously', function() {
+        var store = this.store,
+            remote = this.remote,
+            result = remote.set('child/key', 'value');
+        expect(store.has('child/key')).to.equal(false);
+        return result.then(function(value) {
+            expect(value).to.equal(remote);
+            expect(store.peek('child/key')).to.equal('value');
+        });
+    });
+
+    it('resolves paths relative to proxy', function() {
+        var store = this.store,
+            child = this.remote.for('child');
+        return Promise.all([
+            child.set('key', 1),
+            child.for('grandchild').set('../other', 2),
+            child.set('/root', 3)
+        ]).then(function() {
+            expect(store.toJSON({nested: true})).to.eql({root: 3, child: {key: 1, other: 2}});
+        });
+    });
+
+    it('checks, deletes and clears items', function() {
+        var store = this.store.set('a', 1).set('child/b', 2),
+            remote = this.remote;
+        return Promise.all([remote.has('a'), remote.has('child/a', {inherited: true}), remote.has('c')])
+            .then(function(results) {
+                expect(results).to.eql([true, true, false]);
+                return remote.delete('a');
+            })
+            .then(function() {
+                expect(store.has('a')).to.equal(false);
+                return remote.for('child').clear();
+            })
+            .then(function() {
+                expect(store.has('child/b')).to.equal(false);
+            });
+    });
+
+    it('rejects if exposed store throws', function() {
+        this.store.define({key: 'number'});
+        return this.remote.set('key', 'abc').then(function() {
+            throw new Error('should not resolve');
+        }, function(error) {
+            expect(error.message).to.equal('Invalid value for item `key`: expected type number.');
+        });
+    });
+
+    it('streams values from exposed store', function() {
+        var values = [],
+            store = this.store,
+            delivered = this.delivered,
+            subscription = this.remote.get('child/key', {absent: true})
+                .subscribe(function(value) {
+                    values.push(value);
+                });
+        return delivered().then(function() {
+            store.set('key', 'a');
+            store.set('child/key', 'b');
+            return delivered();
+        }).then(function() {
+            subscription.unsubscribe();
+            return delivered();
+        }).then(function() {
+            store.set('child/key', 'c');
+            return delivered();
+        }).then(function() {
+            expect(values).to.eql([Store.ABSENT, 'a', 'b']);
+        });
+    });
+
+    it('completes streams when stopped', function(done) {
+        this.remote.get('key').subscribe(_.noop, done, done);
+        this.delivered().then(this.stop);
+    });
+
+    it('stops streams whose values cannot be sent', function() {
+        var remote = this.remote,
+            store = this.store.set('key', _.noop),
+            post = this.port1.postMessage.bind(this.port1),
+            posted = 0;
+        this.port1.postMessage = function(message) {
+            posted++;
+            post(message);
+        };
+        return new Promise(function(resolve) {
+            remote.get('key').subscribe(_.noop, resolve);
+        }).then(function(error) {
+            expect(error.message).to.match(/could not be cloned/);
+            posted = 0;
+            store.set('key', 'value');
+            expect(posted).to.equal(0);
+        });
+    });
+
+    it('closes the connection', function() {
+        var errors = [],
+            completed = false,
+            remote = this.remote,
+            pending = remote.for('child').set('key', 1);
+        remote.get('key').subscribe(_.noop, _.noop, function() {
+            completed = true;
+        });
+        remote.close();
+        remote.get('key').subscribe(_.noop, function(error) {
+            errors.push(error.message);
+        });
+        expect(completed).to.equal(true);
+        expect(errors).to.eql(['The connection is closed.']);
+        return Promise.all([pending, remote.has('key')].map(function(promise) {
+            return promise.then(function() {
+                throw new Error('should not resolve');
+            }, function(error) {
+                expect(error.message).to.equal('The connection is closed.');
+            });
+        }));
+    });
+
+});
+
+describe('Store.devtools', function() {
+
+    beforeEach(function attach() {
+        var messages = this.messages = [];
+        this.store = new Store();
+        this.store.set('key', 'root');
+        this.session = Store.devtools.attach(this.store);
+        this.session.messages$.subscribe(function(message) {
+            messages.push(message);
+        });
+    });
+
+    afterEach(function detach() {
+        this.session.detach();
+    });
+
+    it('throws if store invalid', function() {
+        expect(function() {
+            Store.devtools.attach({});
+        }).to.throw('The argument provided must be a Store instance.');
+    });
+
+    it('throws if limit invalid', function() {
+        var store = this.store;
+        [0, -1, 1.5, '10', null].forEach(function(limit) {
+            expect(function() {
+                Store.devtools.attach(store, {limit: limit});
+            }).to.throw('Option `limit` must be a positive integer.');
+        });
+        expect(Store.devtools.sessions()).to.eql([this.session]);
+    });
+
+    it('tracks sessions', function() {
+        expect(this.session).to.be.instanceof(DevtoolsSession);
+        expect(Store.devtools.sessions()).to.eql([this.session]);
+        this.session.detach();
+        expect(Store.devtools.sessions()).to.eql([]);
+    });
+
+    it('publishes initial state', function() {
+        expect(this.messages).to.eql([{
+            type: 'state',
+            current: 0,
+            paused: false,
+            state: {items: {key: 'root'}, children: {}},
+            entries: [{id: 0, entry: null}]
+        }]);
+    });
+
+    it('publishes serializable operations', function() {
+        this.store.set('fn', _.noop).set('child/key', new Date(0));
+        expect(_.map(this.messages.slice(1), 'entry.type')).to.eql(['set', 'store-added', 'set']);
+        expect(this.messages[3]).to.eql({
+            type: 'operation',
+            id: 3,
+            entry: {type: 'set', path: 'child/key', value: '1970-01-01T00:00:00.000Z', time: this.messages[3].entry.time}
+        });
+        this.session.send({type: 'state'});
+        expect(_.last(this.messages).state).to.eql(
+            {items: {key: 'root'}, children: {child: {items: {key: '1970-01-01T00:00:00.000Z'}, children: {}}}});
+    });
+
+    it('jumps to past states', function() {
+        this.store.set('key', 'a');
+        this.store.set('key', 'b');
+        this.session.send({type: 'jump', id: 1});
+        expect(this.store.peek('key')).to.equal('a');
+        expect(_.last(this.messages)).to.include({type: 'state', current: 1});
+        this.session.send({type: 'jump', id: 0});
+        expect(this.store.peek('key')).to.equal('root');
+        expect(_.last(this.messages).entries.length).to.equal(3);
+    });
+
+    it('discards later states when recording after a jump', function() {
+        this.store.set('key', 'a');
+        this.store.set('key', 'b');
+        this.session.send({type: 'jump', id: 1});
+        this.store.set('key', 'c');
+        this.session.send({type: 'state'});
+        expect(_.map(_.last(this.messages).entries, 'id')).to.eql([0, 1, 3]);
+    });
+
+    it('pauses and resumes recording', function() {
+        this.session.send({type: 'pause'});
+        this.store.set('key', 'a');
+        this.session.send({type: 'resume'});
+        expect(_.map(this.messages, 'type')).to.eql(['state', 'state', 'state']);
+        expect(_.last(this.messages)).to.include({paused: false, current: 1});
+        expect(_.last(this.messages).state.items.key).to.equal('a');
+    });
+
+    it('dispatches edits', function() {
+        this.session.send({type: 'dispatch', entry: {type: 'set', path: 'child/key', value: 1}});
+        expect(this.store.peek('child/key')).to.equal(1);
+    });
+
+    it('inspects value providers', function() {
+        this.store.set('admin/key', 'admin').for('admin/users');
+        this.store.register('service', _.noop, {lifetime: 'scoped'});
+        this.session.send({type: 'inspect', path: 'admin/users/key'});
+        this.session.send({type: 'inspect', path: 'admin/service'});
+        expect(this.messages.slice(-2)).to.eql([{
+            type: 'inspection',
+            path: 'admin/users/key',
+            exists: true,
+            source: 'admin',
+            lineage: [
+                {path: 'admin/users', has: false},
+                {path: 'admin', has: true, value: 'admin'},
+                {path: '', has: true, value: 'root'}
+            ]
+        }, {
+            type: 'inspection',
+            path: 'admin/service',
+            exists: true,
+            source: '',
+            lineage: [
+                {path: 'admin', has: false},
+                {path: '', has: false, provider: 'scoped'}
+            ]
+        }]);
+    });
+
+    it('publishes command errors', function() {
+        this.session.send({type: 'jump', id: 42});
+        this.session.send({type: 'rewind'});
+        expect(this.messages.slice(-2)).to.eql([
+            {type: 'error', message: 'Unknown state id: 42'},
+            {type: 'error', message: 'Unknown devtools command type: rewind'}
+        ]);
+    });
+
+    it('restores states recorded before an item was computed', function() {
+        this.store.set('first', 'Jane').set('full', 'Jane Doe').delete('full');
+        this.store.compute('full', ['first'], function(first) {
+            return first + ' Doe';
+        });
+        this.store.set('first', 'John');
+        this.session.send({type: 'jump', id: 2});
+        expect(_.last(this.messages)).to.include({type: 'state', current: 2});
+        expect(this.store.peek('first')).to.equal('Jane');
+        expect(this.store.peek('full')).to.equal('Jane Doe');
+        this.store.set('first', 'Bob');
+        expect(this.store.peek('full')).to.equal('Bob Doe');
+    });
+
+    it('rebuilds recorded states from changes', function() {
+        this.store.set('child/key', 'a').set('other/key', 'b');
+        this.store.for('child').clear();
+        this.store.removeChild('other');
+        this.store.delete('key');
+        var current = this.store.snapshot(),
+            id = _.last(this.messages).id;
+        this.session.send({type: 'jump', id: 4});
+        expect(this.store.snapshot()).to.eql({
+            items: {key: 'root'},
+            children: {child: {items: {key: 'a'}, children: {}}, other: {items: {key: 'b'}, children: {}}}
+        });
+        this.session.send({type: 'jump', id: id});
+        expect(_.last(this.messages).state).to.eql(current);
+        expect(current).to.eql({items: {}, children: {child: {items: {}, children: {}}}});
+    });
+
+    it('rebuilds states recorded after dropped states', function() {
+        var session = Store.devtools.attach(this.store, {limit: 2}),
+            messages = [];
+        this.store.set('key', 'a').set('child/key', 'b').set('key', 'c');
+        session.messages$.subscribe(function(message) {
+            messages.push(message);
+        });
+        expect(messages[0].state).to.eql({items: {key: 'c'}, children: {child: {items: {key: 'b'}, children: {}}}});
+        session.send({type: 'jump', id: 3});
+        expect(this.store.peek('key')).to.equal('a');
+        expect(this.store.peek('child/key')).to.equal('b');
+        session.detach();
+    });
+
+    it('keeps limited number of states', function() {
+        var session = Store.devtools.attach(this.store, {limit: 2}),
+            messages = [];
+        this.store.set('key', 'a').set('key', 'b').set('key', 'c');
+        session.messages$.subscribe(function(message) {
+            messages.push(message);
+        });
+        expect(_.map(messages[0].entries, 'id')).to.eql([2, 3]);
+        session.detach();
+    });
+
+});
+
+describe('inspector', function() {
+
+    beforeEach(function start() {
+        var output = this.output = [];
+        this.input = new PassThrough();
+        this.writable = new PassThrough();
+        this.writable.on('data', function(chunk) {
+            output.push(chunk.toString());
+        });
+        this.store = new Store().set('key', 'root');
+        this.session = Store.devtools.attach(this.store);
+        this.stop = inspect(this.session, {input: this.input, output: this.writable});
+    });
+
+    afterEach(function stop() {
+        this.stop();
+        this.session.detach();
+    });
+
+    function typed(context, line) {
+        context.input.write(line + '\n');
+        return new Promise(function(resolve) {
+            setImmediate(resolve);
+        });
+    }
+
+    it('prints recorded states and operations', function() {
+        this.store.set('child/key', 1);
+        expect(this.output.join('')).to.contain('> #0 (recorded state)')
+            .and.contain('#2 set child/key = 1');
+    });
+
+    it('sends typed commands', function() {
+        var context = this;
+        return typed(context, 'set child/key {"a": 1}')
+            .then(function() {
+                expect(context.store.peek('child/key')).to.eql({a: 1});
+                return typed(context, 'jump 0');
+            })
+            .then(function() {
+                expect(context.store.has('child/key')).to.equal(false);
+                return typed(context, 'inspect child/key');
+            })
+            .then(function() {
+                expect(context.output.join('')).to.contain('child/key is provided by (root)');
+            });
+    });
+
+    it('prints help for unknown commands', function() {
+        var output = this.output;
+        return typed(this, 'rewind').then(function() {
+            expect(output.join('')).to.contain('commands:');
+        });
+    });
+
+});
+
+describe('MemoryAdapter', function() {
+
+    it('loads initial snapshot', function() {
+        return new MemoryAdapter({a: 1}).load().then(function(snapshot) {
+            expect(snapshot).to.eql({a: 1});
+        });
+    });
+
+    it('loads undefined if nothing saved', function() {
+        return new MemoryAdapter().load().then(function(snapshot) {
+            expect(snapshot).to.equal(undefined);
+        });
+    });
+
+    it('loads copy of saved snapshot', function() {
+        var adapter = new MemoryAdapter(),
+            saved = {a: {b: 1}};
+        return adapter.save(saved).then(function() {
+            saved.a.b = 2;
+            return adapter.load();
+        }).then(function(snapshot) {
+            expect(snapshot).to.eql({a: {b: 1}});
+        });
+    });
+
+});
+
+describe('WebStorageAdapter', function() {
+
+    beforeEach(function createStorage() {
+        var items = {};
+        this.storage = {
+            getItem: function(key) {
+                return _.has(items, key) ? items[key] : null;
+            },
+            setItem: function(key, value) {
+                items[key] = String(value);
+            }
+        };
+    });
+
+    it('throws if key invalid', function() {
+        var storage = this.storage;
+        expect(function() {
+            new WebStorageAdapter(storage, ' ');
+        }).to.throw('Parameter `key` must be a non-empty string');
+    });
+
+    it('loads undefined if nothing saved', function() {
+        return new WebStorageAdapter(this.storage, 'key').load().then(function(snapshot) {
+            expect(snapshot).to.equal(undefined);
+        });
+    });
+
+    it('saves snapshot as JSON under key', function() {
+        var storage = this.storage,
+            adapter = new WebStorageAdapter(storage, 'key');
+        return adapter.save({a: 1}).then(function() {
+            expect(storage.getItem('key')).to.equal('{"a":1}');
+            return adapter.load();
+        }).then(function(snapshot) {
+            expect(snapshot).to.eql({a: 1});
+        });
+    });
+
+});